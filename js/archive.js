@@ -0,0 +1,151 @@
+/**
+ * Conversation Archive
+ * Searches saved conversations and exports them as Markdown, JSON or plain text
+ */
+
+class ConversationArchive {
+    constructor() {
+        this.formats = {
+            markdown: { extension: 'md', mimeType: 'text/markdown' },
+            json: { extension: 'json', mimeType: 'application/json' },
+            text: { extension: 'txt', mimeType: 'text/plain' }
+        };
+    }
+
+    /**
+     * Search past turns and group the matches by conversation
+     */
+    async search({ query = '', fromDate = '', toDate = '', status = '' } = {}) {
+        // Date inputs give local calendar days; cover each day completely
+        const from = fromDate ? new Date(`${fromDate}T00:00:00`).toISOString() : null;
+        const to = toDate ? new Date(`${toDate}T23:59:59.999`).toISOString() : null;
+
+        const records = await window.historyStore.search({ query, from, to, status: status || null });
+        const groups = new Map();
+
+        records.forEach(record => {
+            const id = record.conversationId;
+            if (!groups.has(id)) {
+                groups.set(id, { id, matches: [], lastTimestamp: record.timestamp });
+            }
+            groups.get(id).matches.unshift(record);
+        });
+
+        Utils.log(`Archive search "${query}" matched ${records.length} turns in ${groups.size} conversations`);
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Load complete conversations for export
+     */
+    async loadConversations(ids) {
+        const conversations = [];
+
+        for (const id of ids) {
+            const turns = await window.historyStore.getConversation(id);
+            if (turns.length) {
+                conversations.push({ id, turns });
+            }
+        }
+
+        return conversations;
+    }
+
+    /**
+     * Format conversations for export
+     */
+    format(conversations, format = 'markdown') {
+        switch (format) {
+            case 'json':
+                return this.toJSON(conversations);
+            case 'text':
+                return this.toText(conversations);
+            default:
+                return this.toMarkdown(conversations);
+        }
+    }
+
+    /**
+     * Markdown export
+     */
+    toMarkdown(conversations) {
+        const sections = conversations.map(conversation => {
+            const started = this.formatDate(conversation.turns[0].timestamp);
+            const turns = conversation.turns.map(turn => {
+                const speaker = turn.role === 'user' ? 'You' : 'Assistant';
+                const error = turn.status === 'error' ? ` _(error: ${turn.error || 'unknown'})_` : '';
+                return `**${speaker}** (${this.formatDate(turn.timestamp)}):${error}\n\n${turn.text}`;
+            });
+
+            return `## Conversation ${conversation.id}\n\n_Started ${started}_\n\n${turns.join('\n\n')}`;
+        });
+
+        return `# Voice Assistant Conversations\n\n_Exported ${this.formatDate(new Date().toISOString())}_\n\n${sections.join('\n\n---\n\n')}\n`;
+    }
+
+    /**
+     * JSON export
+     */
+    toJSON(conversations) {
+        const exportData = {
+            exportedAt: new Date().toISOString(),
+            conversations: conversations.map(conversation => ({
+                id: conversation.id,
+                turns: conversation.turns.map(({ role, text, timestamp, status, error, raw, endpoint }) => ({
+                    role, text, timestamp, status, error, raw, endpoint: endpoint?.name ?? null
+                }))
+            }))
+        };
+        return JSON.stringify(exportData, null, 2);
+    }
+
+    /**
+     * Plain text export
+     */
+    toText(conversations) {
+        return conversations.map(conversation => {
+            const lines = conversation.turns.map(turn => {
+                const speaker = turn.role === 'user' ? 'You' : 'Assistant';
+                const error = turn.status === 'error' ? ' [error]' : '';
+                return `[${this.formatDate(turn.timestamp)}] ${speaker}${error}: ${turn.text}`;
+            });
+            return `Conversation ${conversation.id}\n${lines.join('\n')}`;
+        }).join('\n\n') + '\n';
+    }
+
+    /**
+     * Export selected conversations as a file download
+     */
+    async download(ids, format = 'markdown') {
+        const conversations = await this.loadConversations(ids);
+        const { extension, mimeType } = this.formats[format] || this.formats.markdown;
+        const filename = `voice-assistant-conversations-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+        Utils.downloadFile(this.format(conversations, format), filename, mimeType);
+        Utils.log(`Exported ${conversations.length} conversations as ${format}`);
+        return conversations.length;
+    }
+
+    /**
+     * Export selected conversations to the clipboard
+     */
+    async copy(ids, format = 'markdown') {
+        const conversations = await this.loadConversations(ids);
+        const success = await Utils.copyToClipboard(this.format(conversations, format));
+        if (success) {
+            Utils.log(`Copied ${conversations.length} conversations as ${format}`);
+        }
+        return success;
+    }
+
+    /**
+     * Format an ISO timestamp for exports
+     */
+    formatDate(timestamp) {
+        const date = new Date(timestamp);
+        return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false })}`;
+    }
+}
+
+// Create global instance
+window.conversationArchive = new ConversationArchive();
@@ -0,0 +1,256 @@
+/**
+ * Offline Command Queue
+ * IndexedDB store of voice commands that could not be sent while offline.
+ * Shared by the page and the service worker, so it must not depend on the DOM.
+ */
+
+class CommandQueue {
+    constructor() {
+        this.dbName = 'voiceAssistantQueue';
+        this.dbVersion = 1;
+        this.storeName = 'commands';
+        this.openPromise = null;
+        this.sendingTimeout = 60000; // A command stuck in "sending" this long is retried
+        this.maxAttempts = 5;
+    }
+
+    /**
+     * Open (and create/upgrade) the database
+     */
+    open() {
+        if (this.openPromise) return this.openPromise;
+
+        this.openPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('status', 'status');
+                    store.createIndex('createdAt', 'createdAt');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.openPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.openPromise;
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the object store for a transaction
+     */
+    async _store(mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(this.storeName, mode).objectStore(this.storeName);
+    }
+
+    /**
+     * Queue a command for later delivery
+     */
+    async add({ url, headers = {}, endpointId = null, body, text }) {
+        const record = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+            url,
+            headers, // Without credentials; auth headers are added when the command is sent
+            endpointId,
+            body,
+            text,
+            createdAt: new Date().toISOString(),
+            status: 'pending',
+            attempts: 0,
+            result: null,
+            error: null,
+            completedAt: null,
+            turnId: null
+        };
+
+        return await this.put(record);
+    }
+
+    /**
+     * Store a command record as-is
+     */
+    async put(record) {
+        const store = await this._store('readwrite');
+        await this._request(store.put(record));
+        return record;
+    }
+
+    /**
+     * Store a command record unless one with its id is already queued
+     */
+    async putIfMissing(record) {
+        const store = await this._store('readwrite');
+        const existing = await this._request(store.get(record.id));
+        if (existing) return existing;
+
+        await this._request(store.put(record));
+        return record;
+    }
+
+    /**
+     * Get one command
+     */
+    async get(id) {
+        const store = await this._store();
+        return await this._request(store.get(id));
+    }
+
+    /**
+     * Update fields of a command
+     */
+    async update(id, changes) {
+        const store = await this._store('readwrite');
+        const record = await this._request(store.get(id));
+        if (!record) return null;
+
+        const updated = { ...record, ...changes };
+        await this._request(store.put(updated));
+        return updated;
+    }
+
+    /**
+     * Get all commands, oldest first
+     */
+    async getAll() {
+        const store = await this._store();
+        return await this._request(store.index('createdAt').getAll());
+    }
+
+    /**
+     * Get commands waiting to be sent (including ones abandoned mid-send)
+     */
+    async getPending() {
+        const now = Date.now();
+        const records = await this.getAll();
+
+        return records.filter(record => record.status === 'pending' ||
+            (record.status === 'sending' && now - new Date(record.sendingAt).getTime() > this.sendingTimeout));
+    }
+
+    /**
+     * Get finished commands whose result has not been shown yet (shown ones are removed)
+     */
+    async getFinished() {
+        const records = await this.getAll();
+        return records.filter(record => record.status === 'done' || record.status === 'failed');
+    }
+
+    /**
+     * Atomically mark a command as being sent, so the page and service worker never both send it
+     */
+    async claim(id) {
+        const store = await this._store('readwrite');
+        const record = await this._request(store.get(id));
+        const now = Date.now();
+
+        const isStale = record?.status === 'sending' && now - new Date(record.sendingAt).getTime() > this.sendingTimeout;
+        if (!record || (record.status !== 'pending' && !isStale)) return null;
+
+        const claimed = {
+            ...record,
+            status: 'sending',
+            sendingAt: new Date(now).toISOString(),
+            attempts: record.attempts + 1
+        };
+        await this._request(store.put(claimed));
+        return claimed;
+    }
+
+    /**
+     * Send a queued command and return the parsed response body
+     */
+    async send(record) {
+        const body = {
+            ...record.body,
+            metadata: {
+                ...record.body.metadata,
+                queuedAt: record.createdAt,
+                replayedAt: new Date().toISOString()
+            }
+        };
+
+        // Sign at send time so the signature timestamp and nonce are fresh
+        const serialized = JSON.stringify(body);
+        const authHeaders = record.endpointId
+            ? await self.webhookAuth.getHeaders(record.endpointId, serialized)
+            : {};
+
+        const response = await fetch(record.url, {
+            method: 'POST',
+            headers: { ...record.headers, ...authHeaders },
+            body: serialized
+        });
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.retryable = response.status >= 500;
+            throw error;
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+
+        // Streamed replies are stored raw and parsed by the page when delivered
+        if (/ndjson|jsonl|event-stream/.test(contentType)) {
+            return { stream: await response.text(), contentType };
+        }
+
+        return contentType.includes('application/json')
+            ? await response.json()
+            : { text: await response.text() };
+    }
+
+    /**
+     * Record a successful send
+     */
+    async complete(id, result) {
+        return await this.update(id, {
+            status: 'done',
+            result,
+            error: null,
+            completedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Record a failed send, returning it to the queue if it may succeed later
+     */
+    async fail(id, error, retryable = true) {
+        const record = await this.get(id);
+        if (!record) return null;
+
+        const giveUp = !retryable || record.attempts >= this.maxAttempts;
+        return await this.update(id, {
+            status: giveUp ? 'failed' : 'pending',
+            error: error?.message || String(error),
+            completedAt: giveUp ? new Date().toISOString() : null
+        });
+    }
+
+    /**
+     * Delete a command
+     */
+    async remove(id) {
+        const store = await this._store('readwrite');
+        await this._request(store.delete(id));
+    }
+}
+
+// Create global instance (window in the page, the worker scope in the service worker)
+self.commandQueue = new CommandQueue();
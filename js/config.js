@@ -8,12 +8,39 @@ class ConfigManager {
         this.storageKey = 'voiceAssistantConfig';
         this.defaults = {
             n8nUrl: '',
+            endpoints: [], // Named webhooks: { id, name, url, rules: [{ type, pattern }], sendAudio, reviewConfidence }
+            sendAudio: false, // Attach the recorded clip to requests for the default webhook
+            audioTransport: 'base64', // 'base64' (in the JSON body) or 'multipart'
+            audioFormat: 'auto', // 'auto', 'webm', 'ogg' or 'mp4'
+            audioMaxKB: 1024, // Larger clips are sent without audio
             voiceSpeed: 1.0,
             voicePitch: 1.0,
+            speakResponses: true,
             autoListen: true,
+            pushToTalk: false, // Hold the button or Space to speak instead of stopping on silence
+            reviewTranscripts: false, // Check every transcript before it is sent
+            reviewConfidence: 0.6, // Below this, transcripts are always reviewed (endpoints can raise it)
+            rejectConfidence: 0.3, // Below this, transcripts are dropped and the user is asked again
+            reviewCountdown: 5, // Seconds before a reviewed transcript sends itself
+            rewriteRules: [], // { type: 'replace', from, to } or { type: 'regex', pattern, flags, to }
+            spokenEmails: true, // "john at example dot com" → "john@example.com"
+            spokenPunctuation: false, // "comma", "new line" → symbols
+            sttEngine: 'webspeech', // 'webspeech' or 'whisper'
+            whisperUrl: '', // Whisper/OpenAI-compatible /v1/audio/transcriptions endpoint
+            whisperModel: 'whisper-1',
+            language: '', // Empty follows the device language
+            favoriteLanguages: [],
+            contextTurns: 10, // Messages kept in history (a request and its reply are two)
+            contextMaxChars: 4000,
+            historyMaxTurns: 2000,
+            wakeWordEnabled: false,
+            wakeWordPhrase: 'Hey Yakeen',
+            wakeWordSensitivity: 0.5,
+            wakeWordTemplates: [],
             debugMode: false,
             lastUsed: null
         };
+        this.sensitiveKeys = /auth|token|secret|password|credential/i;
         this.config = this.loadConfig();
     }
 
@@ -110,7 +137,12 @@ class ConfigManager {
      */
     export() {
         const exportData = { ...this.config };
-        // Remove sensitive data if needed
+        // Webhook credentials live in the webhook auth store; drop anything that looks like one anyway
+        Object.keys(exportData).forEach(key => {
+            if (this.sensitiveKeys.test(key)) {
+                delete exportData[key];
+            }
+        });
         return JSON.stringify(exportData, null, 2);
     }
 
@@ -0,0 +1,164 @@
+/**
+ * Conversation Session
+ * Tracks the current conversation so n8n workflows can answer follow-up questions
+ */
+
+class ConversationSession {
+    constructor() {
+        this.storageKey = 'voiceAssistantConversation';
+        this.summaryMaxChars = 1000;
+        this.state = this.load();
+
+        // Event handlers
+        this.onReset = null;
+    }
+
+    /**
+     * Create a fresh conversation state
+     */
+    createState() {
+        return {
+            id: Utils.generateId(),
+            turn: 0,
+            history: [],
+            summary: '',
+            startedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Load the current conversation from localStorage
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                return { ...this.createState(), ...JSON.parse(stored) };
+            }
+        } catch (error) {
+            console.warn('Failed to load conversation from localStorage:', error);
+        }
+        return this.createState();
+    }
+
+    /**
+     * Save the current conversation to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+            return true;
+        } catch (error) {
+            console.error('Failed to save conversation to localStorage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the conversation id
+     */
+    getId() {
+        return this.state.id;
+    }
+
+    /**
+     * Record a completed exchange
+     */
+    addExchange(userText, assistantText, raw = null) {
+        const timestamp = new Date().toISOString();
+
+        this.state.turn++;
+        this.state.history.push({ role: 'user', text: userText, timestamp });
+        if (assistantText) {
+            this.state.history.push({ role: 'assistant', text: assistantText, timestamp });
+        }
+
+        // Workflows may keep their own running summary of the conversation
+        if (typeof raw?.summary === 'string') {
+            this.state.summary = raw.summary;
+        }
+
+        this.trim();
+        this.save();
+    }
+
+    /**
+     * Keep stored history within the configured window, folding older turns into the summary
+     */
+    trim() {
+        const maxTurns = window.configManager.get('contextTurns') ?? 10;
+        const maxChars = window.configManager.get('contextMaxChars') ?? 4000;
+        const dropped = [];
+
+        while (this.state.history.length > maxTurns ||
+               (this.state.history.length > 1 && this.getHistoryLength() > maxChars)) {
+            dropped.push(this.state.history.shift());
+        }
+
+        if (dropped.length) {
+            Utils.log(`Trimmed ${dropped.length} messages from conversation context`, 'debug');
+            this.summarize(dropped);
+        }
+    }
+
+    /**
+     * Fold dropped turns into a short running summary
+     */
+    summarize(turns) {
+        const lines = turns.map(turn => {
+            const text = turn.text.length > 80 ? `${turn.text.substring(0, 77)}...` : turn.text;
+            return `${turn.role === 'user' ? 'User' : 'Assistant'}: ${text}`;
+        });
+
+        const summary = [this.state.summary, ...lines].filter(Boolean).join('\n');
+        this.state.summary = summary.length > this.summaryMaxChars
+            ? summary.substring(summary.length - this.summaryMaxChars)
+            : summary;
+    }
+
+    /**
+     * Total characters of stored history
+     */
+    getHistoryLength() {
+        return this.state.history.reduce((total, turn) => total + turn.text.length, 0);
+    }
+
+    /**
+     * Get the context to send with the next request
+     */
+    getContext() {
+        return {
+            id: this.state.id,
+            turn: this.state.turn + 1,
+            history: this.state.history.map(({ role, text }) => ({ role, text })),
+            summary: this.state.summary || null
+        };
+    }
+
+    /**
+     * Start a new conversation
+     */
+    reset() {
+        const previousId = this.state.id;
+        this.state = this.createState();
+        this.save();
+
+        Utils.log(`New conversation started (${this.state.id}), previous: ${previousId}`);
+        this.onReset?.(this.state.id);
+    }
+
+    /**
+     * Get current status
+     */
+    getStatus() {
+        return {
+            id: this.state.id,
+            turn: this.state.turn,
+            historyLength: this.state.history.length,
+            hasSummary: !!this.state.summary
+        };
+    }
+}
+
+// Create global instance
+window.conversationSession = new ConversationSession();
@@ -0,0 +1,135 @@
+/**
+ * Note Dictation
+ * Builds a note from dictated segments: starts on "take a note", appends each final segment
+ * as a sentence, and carries out spoken editing commands ("new paragraph", "delete last
+ * sentence", "finish note")
+ */
+
+class NoteDictation {
+    constructor() {
+        this.startPattern = /^(?:please )?(?:take|make|start|dictate)(?: a)? (?:new )?(?:note|dictation)(?: please)?[.!]?$|^start dictating[.!]?$/i;
+
+        // Commands can end a segment or sit in the middle of one
+        this.commands = [
+            { action: 'paragraph', pattern: 'new paragraph' },
+            { action: 'line', pattern: 'new line' },
+            { action: 'deleteSentence', pattern: '(?:delete|remove|scratch) (?:the )?last sentence|scratch that' },
+            { action: 'finish', pattern: '(?:finish|end|save|send) (?:the |my )?note|stop dictating|stop dictation' },
+            { action: 'cancel', pattern: '(?:cancel|discard) (?:the |my )?(?:note|dictation)' }
+        ];
+        this.commandPattern = new RegExp(
+            `\\s*\\b(${this.commands.map(command => command.pattern).join('|')})\\b[.!?]?\\s*`,
+            'i'
+        );
+    }
+
+    /**
+     * Check if an utterance asks to start dictating a note
+     */
+    isStartCommand(text) {
+        return this.startPattern.test(text.trim());
+    }
+
+    /**
+     * Add a dictated segment to the draft.
+     * Returns the new draft and 'finish' or 'cancel' when the segment ended the dictation.
+     */
+    applySegment(draft, segment) {
+        let text = draft;
+        let remaining = segment;
+
+        while (remaining) {
+            const match = remaining.match(this.commandPattern);
+            const before = match ? remaining.slice(0, match.index) : remaining;
+
+            if (before.trim()) {
+                text = this.appendSentence(text, window.transcriptRewriter.apply(before.trim()));
+            }
+            if (!match) break;
+
+            const action = this.getAction(match[1]);
+            Utils.log(`Dictation command: ${action}`);
+
+            if (action === 'finish' || action === 'cancel') {
+                return { text, ended: action };
+            }
+            text = this.applyCommand(text, action);
+            remaining = remaining.slice(match.index + match[0].length);
+        }
+
+        return { text, ended: null };
+    }
+
+    /**
+     * Find the action of a matched command phrase
+     */
+    getAction(phrase) {
+        const command = this.commands.find(entry => new RegExp(`^(?:${entry.pattern})$`, 'i').test(phrase));
+        return command.action;
+    }
+
+    /**
+     * Apply an editing command to the draft
+     */
+    applyCommand(text, action) {
+        switch (action) {
+            case 'paragraph':
+                return text ? `${text.replace(/\s+$/, '')}\n\n` : text;
+            case 'line':
+                return text ? `${text.replace(/[ \t]+$/, '')}\n` : text;
+            case 'deleteSentence':
+                return this.deleteLastSentence(text);
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Append a segment as a sentence: capitalised, spaced and ending in punctuation
+     */
+    appendSentence(text, segment) {
+        let sentence = segment.trim();
+        if (!sentence) return text;
+
+        // Browsers rarely punctuate, and sentences are what "delete last sentence" removes
+        if (!/[.?!:;,]$/.test(sentence)) {
+            sentence += '.';
+        }
+
+        const startsSentence = !text.trim() || /[.?!]\s*$|\n$/.test(text);
+        if (startsSentence) {
+            sentence = sentence.charAt(0).toUpperCase() + sentence.slice(1);
+        }
+
+        if (!text || text.endsWith('\n')) {
+            return text + sentence;
+        }
+        return `${text.replace(/[ \t]+$/, '')} ${sentence}`;
+    }
+
+    /**
+     * Remove the last sentence, keeping paragraph breaks before it
+     */
+    deleteLastSentence(text) {
+        const body = text.replace(/\s+$/, '').replace(/[.?!]+$/, '');
+        const boundary = /[.?!](?=\s)|\n/g;
+        let cut = 0;
+        let match;
+
+        while ((match = boundary.exec(body))) {
+            cut = match.index + 1;
+        }
+
+        return body.slice(0, cut).replace(/[ \t]+$/, '');
+    }
+
+    /**
+     * Count the words of a draft
+     */
+    countWords(text) {
+        return text.split(/\s+/).filter(Boolean).length;
+    }
+}
+
+// Create global instance
+window.noteDictation = new NoteDictation();
@@ -0,0 +1,251 @@
+/**
+ * Conversation History Store
+ * Persists user and assistant turns in IndexedDB so they survive reloads
+ */
+
+class HistoryStore {
+    constructor() {
+        this.dbName = 'voiceAssistantHistory';
+        this.dbVersion = 1;
+        this.storeName = 'turns';
+        this.db = null;
+        this.openPromise = null;
+        this.pageSize = 20;
+        this.pruneEvery = 25; // Check retention every N writes
+        this.writesSincePrune = 0;
+        this.lastTimestamp = 0;
+    }
+
+    /**
+     * Check if IndexedDB is available
+     */
+    isSupported() {
+        return 'indexedDB' in window;
+    }
+
+    /**
+     * Open (and create/upgrade) the database
+     */
+    open() {
+        if (this.openPromise) return this.openPromise;
+
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('IndexedDB not supported'));
+        }
+
+        this.openPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('timestamp', 'timestamp');
+                    store.createIndex('conversationId', 'conversationId');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                Utils.log('History store opened');
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                this.openPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.openPromise;
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the object store for a transaction
+     */
+    async _store(mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(this.storeName, mode).objectStore(this.storeName);
+    }
+
+    /**
+     * Save a turn
+     */
+    async addTurn({ role, text, conversationId = null, raw = null, status = 'ok', error = null, queueId = null, endpoint = null, rich = null }) {
+        // Timestamps are the paging cursor, so keep them unique and increasing
+        const time = Math.max(Date.now(), this.lastTimestamp + 1);
+        this.lastTimestamp = time;
+
+        const record = {
+            id: Utils.generateId(),
+            conversationId,
+            role,
+            text,
+            timestamp: new Date(time).toISOString(),
+            raw,
+            status,
+            error,
+            queueId,
+            endpoint,
+            rich
+        };
+
+        const store = await this._store('readwrite');
+        await this._request(store.add(record));
+
+        if (++this.writesSincePrune >= this.pruneEvery) {
+            this.writesSincePrune = 0;
+            this.prune().catch(err => Utils.log(`History prune failed: ${Utils.getErrorMessage(err)}`, 'warn'));
+        }
+
+        return record;
+    }
+
+    /**
+     * Update fields of a saved turn
+     */
+    async updateTurn(id, changes) {
+        const store = await this._store('readwrite');
+        const record = await this._request(store.get(id));
+        if (!record) return null;
+
+        const updated = { ...record, ...changes };
+        await this._request(store.put(updated));
+        return updated;
+    }
+
+    /**
+     * Get a page of turns older than a timestamp, returned oldest first
+     */
+    async getPage(before = null, limit = this.pageSize) {
+        const store = await this._store();
+        const range = before ? IDBKeyRange.upperBound(before, true) : null;
+        const records = [];
+
+        return new Promise((resolve, reject) => {
+            const request = store.index('timestamp').openCursor(range, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && records.length < limit) {
+                    records.push(cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve(records.reverse());
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all turns of a conversation, oldest first
+     */
+    async getConversation(conversationId) {
+        const store = await this._store();
+        const records = await this._request(store.index('conversationId').getAll(conversationId));
+        return records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Full-text search across saved turns, newest first
+     */
+    async search({ query = '', from = null, to = null, status = null, limit = 500 } = {}) {
+        const store = await this._store();
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const records = [];
+
+        let range = null;
+        if (from && to) {
+            range = IDBKeyRange.bound(from, to);
+        } else if (from) {
+            range = IDBKeyRange.lowerBound(from);
+        } else if (to) {
+            range = IDBKeyRange.upperBound(to);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = store.index('timestamp').openCursor(range, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || records.length >= limit) {
+                    resolve(records);
+                    return;
+                }
+
+                const record = cursor.value;
+                const text = record.text.toLowerCase();
+                const matchesStatus = !status || record.status === status;
+                const matchesQuery = terms.every(term => text.includes(term));
+
+                if (matchesStatus && matchesQuery) {
+                    records.push(record);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Count saved turns
+     */
+    async count() {
+        const store = await this._store();
+        return await this._request(store.count());
+    }
+
+    /**
+     * Delete the oldest turns beyond the configured retention limit
+     */
+    async prune(maxTurns = window.configManager.get('historyMaxTurns') ?? 2000) {
+        const total = await this.count();
+        let excess = total - maxTurns;
+        if (excess <= 0) return 0;
+
+        const store = await this._store('readwrite');
+        const removed = excess;
+
+        await new Promise((resolve, reject) => {
+            const request = store.index('timestamp').openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && excess > 0) {
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                } else {
+                    resolve();
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        Utils.log(`Pruned ${removed} old turns from history`);
+        return removed;
+    }
+
+    /**
+     * Delete all saved turns
+     */
+    async clear() {
+        const store = await this._store('readwrite');
+        await this._request(store.clear());
+        Utils.log('History cleared');
+    }
+}
+
+// Create global instance
+window.historyStore = new HistoryStore();
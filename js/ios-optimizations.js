@@ -381,7 +381,7 @@ class IOSOptimizer {
     performMemoryCleanup() {
         // Clear any cached data that's not essential
         if (window.caches) {
-            caches.open('voice-assistant-v1.0.0-dynamic').then(cache => {
+            caches.open('voice-assistant-v1.1.0-dynamic').then(cache => {
                 cache.keys().then(keys => {
                     // Remove half of the dynamic cache entries
                     const keysToDelete = keys.slice(0, Math.floor(keys.length / 2));
@@ -0,0 +1,110 @@
+/**
+ * Language Manager
+ * Keeps track of the recognition/speech language, two favourites to flip between,
+ * and spoken "switch to <language>" commands
+ */
+
+class LanguageManager {
+    constructor() {
+        this.languages = [
+            { code: 'en-US', name: 'English (US)', short: 'EN', words: ['english', 'american english'] },
+            { code: 'en-GB', name: 'English (UK)', short: 'EN-GB', words: ['british english'] },
+            { code: 'fr-FR', name: 'Français', short: 'FR', words: ['french', 'français', 'francais'] },
+            { code: 'de-DE', name: 'Deutsch', short: 'DE', words: ['german', 'deutsch'] },
+            { code: 'es-ES', name: 'Español', short: 'ES', words: ['spanish', 'español', 'espanol'] },
+            { code: 'it-IT', name: 'Italiano', short: 'IT', words: ['italian', 'italiano'] },
+            { code: 'pt-BR', name: 'Português (Brasil)', short: 'PT', words: ['portuguese', 'português', 'portugues'] },
+            { code: 'nl-NL', name: 'Nederlands', short: 'NL', words: ['dutch', 'nederlands'] },
+            { code: 'ar-SA', name: 'العربية', short: 'AR', words: ['arabic', 'العربية'] },
+            { code: 'tr-TR', name: 'Türkçe', short: 'TR', words: ['turkish', 'türkçe', 'turkce'] },
+            { code: 'ru-RU', name: 'Русский', short: 'RU', words: ['russian', 'русский'] },
+            { code: 'hi-IN', name: 'हिन्दी', short: 'HI', words: ['hindi', 'हिन्दी'] },
+            { code: 'ja-JP', name: '日本語', short: 'JA', words: ['japanese', '日本語'] },
+            { code: 'ko-KR', name: '한국어', short: 'KO', words: ['korean', '한국어'] },
+            { code: 'zh-CN', name: '中文 (普通话)', short: 'ZH', words: ['chinese', 'mandarin', '中文'] }
+        ];
+
+        this.switchPattern = /^(?:switch|change)(?: the)?(?: language)? to (.+?)[.!]?$|^(?:speak|use) (.+?)(?: please)?[.!]?$/i;
+
+        // Event handlers
+        this.onChange = null;
+    }
+
+    /**
+     * Get the current language code
+     */
+    getLanguage() {
+        const configured = window.configManager.get('language');
+        if (this.getInfo(configured)) return configured;
+
+        // Follow the device language until one is chosen
+        const device = navigator.language || 'en-US';
+        const match = this.languages.find(language => language.code.toLowerCase() === device.toLowerCase()) ||
+            this.languages.find(language => language.code.split('-')[0] === device.split('-')[0]);
+        return match ? match.code : 'en-US';
+    }
+
+    /**
+     * Get the entry of a language code
+     */
+    getInfo(code) {
+        return this.languages.find(language => language.code === code) || null;
+    }
+
+    /**
+     * Get the display name of a language code
+     */
+    getName(code) {
+        return this.getInfo(code)?.name || code;
+    }
+
+    /**
+     * Change the language
+     */
+    setLanguage(code) {
+        if (!this.getInfo(code)) {
+            throw new Error(`Unsupported language: ${code}`);
+        }
+
+        if (code === window.configManager.get('language')) return;
+
+        window.configManager.set('language', code);
+        Utils.log(`Language changed to ${code}`);
+        this.onChange?.(code);
+    }
+
+    /**
+     * Get the two favourite languages, if set
+     */
+    getFavorites() {
+        return (window.configManager.get('favoriteLanguages') || []).filter(code => this.getInfo(code));
+    }
+
+    /**
+     * Flip to the other favourite language. Returns the new code, or null without two favourites.
+     */
+    cycleFavorite() {
+        const favorites = this.getFavorites();
+        if (favorites.length < 2) return null;
+
+        const current = this.getLanguage();
+        const next = current === favorites[0] ? favorites[1] : favorites[0];
+        this.setLanguage(next);
+        return next;
+    }
+
+    /**
+     * Recognise spoken commands such as "switch to French" or "speak Spanish"
+     */
+    matchSwitchCommand(text) {
+        const match = text.trim().match(this.switchPattern);
+        if (!match) return null;
+
+        const requested = (match[1] || match[2]).toLowerCase();
+        const language = this.languages.find(entry => entry.words.includes(requested));
+        return language ? language.code : null;
+    }
+}
+
+// Create global instance
+window.languageManager = new LanguageManager();
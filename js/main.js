@@ -8,12 +8,39 @@ class VoiceAssistantApp {
         this.isInitialized = false;
         this.elements = {};
         this.isFirstRun = true;
+        this.conversationMode = false;
+        this.currentStatus = 'ready';
+        this.streamingExchange = null; // Messages of a reply that is still streaming in
+        this.pendingUserMessage = null; // Live transcript bubble of the utterance being spoken
+        this.questionActions = null; // Buttons answering the workflow's pending question
+        this.reviewTimer = null; // Countdown before a reviewed transcript sends itself
+        this.lastTypedText = ''; // Recalled with the Up arrow in the composer
+        this.pushToTalkHold = null; // Pointer holding the main button in push-to-talk mode
+        this.pushToTalkCancelDistance = 80; // Slide this far (px) from the button to cancel
+        this.endpointDrafts = []; // Endpoints being edited in settings
+        this.selectedEndpointId = 'default';
+
+        // Conversation history paging
+        this.isLoadingHistory = false;
+        this.hasMoreHistory = true;
 
         // Bind methods
         this.handleStatusChange = this.handleStatusChange.bind(this);
         this.handleVoiceLevel = this.handleVoiceLevel.bind(this);
         this.handleVoiceResult = this.handleVoiceResult.bind(this);
+        this.handleResponseChunk = this.handleResponseChunk.bind(this);
+        this.handleInterim = this.handleInterim.bind(this);
+        this.handleConfirmationChange = this.handleConfirmationChange.bind(this);
+        this.handleSlotChange = this.handleSlotChange.bind(this);
+        this.handleReview = this.handleReview.bind(this);
+        this.handleDictationChange = this.handleDictationChange.bind(this);
+        this.handleLanguageChange = this.handleLanguageChange.bind(this);
         this.handleVoiceError = this.handleVoiceError.bind(this);
+        this.handleModeChange = this.handleModeChange.bind(this);
+        this.handleWakeWord = this.handleWakeWord.bind(this);
+        this.handleWakeWordState = this.handleWakeWordState.bind(this);
+        this.handleQueuedResult = this.handleQueuedResult.bind(this);
+        this.updateQueueIndicator = this.updateQueueIndicator.bind(this);
     }
 
     /**
@@ -36,6 +63,7 @@ class VoiceAssistantApp {
 
             // Initialize components
             await this.initializeComponents();
+            this.applyListeningMode();
 
             // Setup PWA features
             this.setupPWA();
@@ -46,11 +74,16 @@ class VoiceAssistantApp {
             this.isInitialized = true;
             Utils.log('Voice Assistant App initialized successfully');
 
-            // Auto-start one-shot listening on page load
-            setTimeout(() => {
-                Utils.log('Auto-starting one-shot listening...');
-                this.startListening();
-            }, 1000);
+            // Auto-start listening on page load; without speech recognition the composer is the only input
+            if (window.voiceProcessor.isSupported()) {
+                if (window.configManager.get('pushToTalk')) return;
+                setTimeout(() => {
+                    Utils.log('Auto-starting listening...');
+                    this.startListening();
+                }, 1000);
+            } else {
+                this.showMessage('Voice input is not available in this browser. Type your messages below.', 'info');
+            }
 
         } catch (error) {
             Utils.log(`Failed to initialize app: ${Utils.getErrorMessage(error)}`, 'error');
@@ -64,17 +97,94 @@ class VoiceAssistantApp {
     cacheElements() {
         this.elements = {
             status: document.getElementById('status'),
+            logoContainer: document.getElementById('logoContainer'),
+            languageSwitcher: document.getElementById('languageSwitcher'),
             voiceVisualizer: document.getElementById('voiceVisualizer'),
             voiceLevelBar: document.getElementById('voiceLevelBar'),
+            reviewPanel: document.getElementById('reviewPanel'),
+            reviewText: document.getElementById('reviewText'),
+            reviewAlternatives: document.getElementById('reviewAlternatives'),
+            reviewCountdown: document.getElementById('reviewCountdown'),
+            reviewSend: document.getElementById('reviewSend'),
+            reviewDiscard: document.getElementById('reviewDiscard'),
+            dictationPanel: document.getElementById('dictationPanel'),
+            dictationDraft: document.getElementById('dictationDraft'),
+            dictationInfo: document.getElementById('dictationInfo'),
+            dictationPause: document.getElementById('dictationPause'),
+            dictationCancel: document.getElementById('dictationCancel'),
+            dictationFinish: document.getElementById('dictationFinish'),
+            dictateBtn: document.getElementById('dictateBtn'),
             toggleListening: document.getElementById('toggleListening'),
             listeningText: document.getElementById('listeningText'),
             settingsBtn: document.getElementById('settingsBtn'),
+            newConversationBtn: document.getElementById('newConversationBtn'),
+            historyBtn: document.getElementById('historyBtn'),
+            historyPanel: document.getElementById('historyPanel'),
+            historySearch: document.getElementById('historySearch'),
+            historyFrom: document.getElementById('historyFrom'),
+            historyTo: document.getElementById('historyTo'),
+            historyStatus: document.getElementById('historyStatus'),
+            historyResults: document.getElementById('historyResults'),
+            exportFormat: document.getElementById('exportFormat'),
+            downloadHistory: document.getElementById('downloadHistory'),
+            copyHistory: document.getElementById('copyHistory'),
             settingsPanel: document.getElementById('settingsPanel'),
             n8nUrl: document.getElementById('n8nUrl'),
+            endpointSelect: document.getElementById('endpointSelect'),
+            addEndpoint: document.getElementById('addEndpoint'),
+            removeEndpoint: document.getElementById('removeEndpoint'),
+            endpointDetails: document.getElementById('endpointDetails'),
+            endpointName: document.getElementById('endpointName'),
+            endpointUrl: document.getElementById('endpointUrl'),
+            endpointRules: document.getElementById('endpointRules'),
+            endpointReviewConfidence: document.getElementById('endpointReviewConfidence'),
+            authType: document.getElementById('authType'),
+            authFields: document.querySelectorAll('.auth-fields'),
+            authHeaderName: document.getElementById('authHeaderName'),
+            authHeaderValue: document.getElementById('authHeaderValue'),
+            authUsername: document.getElementById('authUsername'),
+            authPassword: document.getElementById('authPassword'),
+            authToken: document.getElementById('authToken'),
+            hmacSecret: document.getElementById('hmacSecret'),
+            endpointSendAudio: document.getElementById('endpointSendAudio'),
+            audioTransport: document.getElementById('audioTransport'),
+            audioFormat: document.getElementById('audioFormat'),
+            audioMaxKB: document.getElementById('audioMaxKB'),
+            sttEngine: document.getElementById('sttEngine'),
+            whisperSettings: document.getElementById('whisperSettings'),
+            whisperUrl: document.getElementById('whisperUrl'),
+            whisperModel: document.getElementById('whisperModel'),
+            whisperApiKey: document.getElementById('whisperApiKey'),
             voiceSpeed: document.getElementById('voiceSpeed'),
             voicePitch: document.getElementById('voicePitch'),
             speedValue: document.getElementById('speedValue'),
             pitchValue: document.getElementById('pitchValue'),
+            language: document.getElementById('language'),
+            favoriteLanguage1: document.getElementById('favoriteLanguage1'),
+            favoriteLanguage2: document.getElementById('favoriteLanguage2'),
+            speakResponses: document.getElementById('speakResponses'),
+            autoListen: document.getElementById('autoListen'),
+            pushToTalk: document.getElementById('pushToTalk'),
+            reviewTranscripts: document.getElementById('reviewTranscripts'),
+            reviewConfidence: document.getElementById('reviewConfidence'),
+            rejectConfidence: document.getElementById('rejectConfidence'),
+            rewriteRules: document.getElementById('rewriteRules'),
+            spokenEmails: document.getElementById('spokenEmails'),
+            spokenPunctuation: document.getElementById('spokenPunctuation'),
+            rewritePreviewInput: document.getElementById('rewritePreviewInput'),
+            rewritePreview: document.getElementById('rewritePreview'),
+            contextTurns: document.getElementById('contextTurns'),
+            contextTurnsValue: document.getElementById('contextTurnsValue'),
+            contextMaxChars: document.getElementById('contextMaxChars'),
+            wakeWordIndicator: document.getElementById('wakeWordIndicator'),
+            queueIndicator: document.getElementById('queueIndicator'),
+            wakeWordEnabled: document.getElementById('wakeWordEnabled'),
+            wakeWordPhrase: document.getElementById('wakeWordPhrase'),
+            wakeWordSensitivity: document.getElementById('wakeWordSensitivity'),
+            sensitivityValue: document.getElementById('sensitivityValue'),
+            recordWakeWord: document.getElementById('recordWakeWord'),
+            clearWakeWord: document.getElementById('clearWakeWord'),
+            wakeWordSamples: document.getElementById('wakeWordSamples'),
             saveSettings: document.getElementById('saveSettings'),
             closeSettings: document.getElementById('closeSettings'),
             loadingOverlay: document.getElementById('loadingOverlay'),
@@ -82,7 +192,9 @@ class VoiceAssistantApp {
             debugPanel: document.getElementById('debugPanel'),
             debugLog: document.getElementById('debugLog'),
             conversationContainer: document.getElementById('conversationContainer'),
-            conversationScroll: document.getElementById('conversationScroll')
+            conversationScroll: document.getElementById('conversationScroll'),
+            composer: document.getElementById('composer'),
+            composerInput: document.getElementById('composerInput')
         };
 
         // DEBUG: Log conversation container status for iPhone debugging
@@ -115,7 +227,14 @@ class VoiceAssistantApp {
         window.voiceProcessor.onStatusChange = this.handleStatusChange;
         window.voiceProcessor.onVoiceLevel = this.handleVoiceLevel;
         window.voiceProcessor.onResult = this.handleVoiceResult;
+        window.voiceProcessor.onResponseChunk = this.handleResponseChunk;
+        window.voiceProcessor.onConfirmationChange = this.handleConfirmationChange;
+        window.voiceProcessor.onSlotChange = this.handleSlotChange;
+        window.voiceProcessor.onReview = this.handleReview;
+        window.voiceProcessor.onDictationChange = this.handleDictationChange;
+        window.voiceProcessor.onInterim = this.handleInterim;
         window.voiceProcessor.onError = this.handleVoiceError;
+        window.voiceProcessor.onModeChange = this.handleModeChange;
 
         Utils.log('Voice processor configured');
     }
@@ -126,14 +245,131 @@ class VoiceAssistantApp {
     setupEventHandlers() {
         // Toggle listening button
         this.elements.toggleListening?.addEventListener('click', () => {
+            if (window.configManager.get('pushToTalk') && !window.voiceProcessor.isDictating()) return;
             this.toggleListening();
         });
 
+        // Push-to-talk: hold the button to speak, release to send, slide away to cancel
+        this.elements.toggleListening?.addEventListener('pointerdown', (e) => {
+            if (!window.configManager.get('pushToTalk') || e.button !== 0 || window.voiceProcessor.isDictating()) return;
+            e.preventDefault();
+            this.elements.toggleListening.setPointerCapture(e.pointerId);
+            this.pushToTalkHold = { x: e.clientX, y: e.clientY, cancelling: false };
+            this.beginPushToTalk();
+        });
+
+        this.elements.toggleListening?.addEventListener('pointermove', (e) => {
+            const hold = this.pushToTalkHold;
+            if (!hold) return;
+
+            const cancelling = Math.hypot(e.clientX - hold.x, e.clientY - hold.y) > this.pushToTalkCancelDistance;
+            if (cancelling !== hold.cancelling) {
+                hold.cancelling = cancelling;
+                this.handleStatusChange(this.currentStatus);
+            }
+        });
+
+        this.elements.toggleListening?.addEventListener('pointerup', () => {
+            this.endPushToTalk(this.pushToTalkHold?.cancelling);
+        });
+
+        this.elements.toggleListening?.addEventListener('pointercancel', () => {
+            this.endPushToTalk(true);
+        });
+
+        // Typed messages
+        this.elements.composer?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendTypedText();
+        });
+
+        this.elements.composerInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowUp' && !this.elements.composerInput.value && this.lastTypedText) {
+                e.preventDefault();
+                this.elements.composerInput.value = this.lastTypedText;
+            } else if (e.key === 'Escape') {
+                this.elements.composerInput.value = '';
+                this.elements.composerInput.blur();
+            }
+        });
+
+        // Transcript review
+        this.elements.reviewSend?.addEventListener('click', () => {
+            window.voiceProcessor.submitReview(this.elements.reviewText.value);
+        });
+
+        this.elements.reviewDiscard?.addEventListener('click', () => {
+            window.voiceProcessor.cancelReview();
+        });
+
+        this.elements.reviewText?.addEventListener('input', () => {
+            this.stopReviewCountdown();
+        });
+
+        this.elements.reviewText?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                window.voiceProcessor.submitReview(this.elements.reviewText.value);
+            } else if (e.key === 'Escape') {
+                window.voiceProcessor.cancelReview();
+            }
+        });
+
         // Settings button
         this.elements.settingsBtn?.addEventListener('click', () => {
             this.openSettings();
         });
 
+        // New conversation button
+        this.elements.newConversationBtn?.addEventListener('click', () => {
+            this.startNewConversation();
+        });
+
+        // Note dictation
+        this.elements.dictateBtn?.addEventListener('click', () => {
+            this.startDictation();
+        });
+
+        this.elements.dictationDraft?.addEventListener('input', () => {
+            window.voiceProcessor.setDictationText(this.elements.dictationDraft.value);
+            this.updateDictationInfo();
+        });
+
+        this.elements.dictationPause?.addEventListener('click', () => {
+            if (window.voiceProcessor.dictation?.state === 'active') {
+                window.voiceProcessor.pauseDictation();
+            } else {
+                window.voiceProcessor.resumeDictation();
+            }
+        });
+
+        this.elements.dictationCancel?.addEventListener('click', () => {
+            window.voiceProcessor.cancelDictation();
+        });
+
+        this.elements.dictationFinish?.addEventListener('click', () => {
+            window.voiceProcessor.finishDictation();
+        });
+
+        // Conversation archive
+        this.elements.historyBtn?.addEventListener('click', () => {
+            this.toggleHistory();
+        });
+
+        const searchHistory = Utils.debounce(() => this.searchHistory(), 300);
+        this.elements.historySearch?.addEventListener('input', searchHistory);
+        [this.elements.historyFrom, this.elements.historyTo, this.elements.historyStatus].forEach(input => {
+            input?.addEventListener('change', searchHistory);
+        });
+
+        this.elements.downloadHistory?.addEventListener('click', () => {
+            this.exportHistory('download');
+        });
+
+        this.elements.copyHistory?.addEventListener('click', () => {
+            this.exportHistory('copy');
+        });
+
         // Settings form handlers
         this.elements.saveSettings?.addEventListener('click', () => {
             this.saveSettings();
@@ -144,6 +380,28 @@ class VoiceAssistantApp {
         });
 
         // Settings real-time updates
+        this.elements.authType?.addEventListener('change', () => {
+            this.updateAuthFields();
+        });
+
+        // Endpoint editor
+        this.elements.endpointSelect?.addEventListener('change', (e) => {
+            this.selectEndpoint(e.target.value);
+        });
+
+        this.elements.endpointName?.addEventListener('change', () => {
+            this.storeEndpointDraft();
+            this.renderEndpointOptions();
+        });
+
+        this.elements.addEndpoint?.addEventListener('click', () => {
+            this.addEndpoint();
+        });
+
+        this.elements.removeEndpoint?.addEventListener('click', () => {
+            this.removeEndpoint();
+        });
+
         this.elements.voiceSpeed?.addEventListener('input', (e) => {
             this.elements.speedValue.textContent = `${e.target.value}x`;
         });
@@ -152,16 +410,110 @@ class VoiceAssistantApp {
             this.elements.pitchValue.textContent = e.target.value;
         });
 
+        this.elements.contextTurns?.addEventListener('input', (e) => {
+            this.elements.contextTurnsValue.textContent = `${e.target.value} messages`;
+        });
+
+        this.elements.wakeWordSensitivity?.addEventListener('input', (e) => {
+            this.elements.sensitivityValue.textContent = e.target.value;
+        });
+
+        // Wake word training and pause/resume
+        this.elements.recordWakeWord?.addEventListener('click', () => {
+            this.recordWakeWordSample();
+        });
+
+        this.elements.clearWakeWord?.addEventListener('click', () => {
+            window.wakeWordListener.clearSamples();
+            this.updateWakeWordSamples();
+        });
+
+        this.elements.sttEngine?.addEventListener('change', () => {
+            this.updateSttFields();
+        });
+
+        // Preview transcript corrections as they are edited
+        [this.elements.rewriteRules, this.elements.rewritePreviewInput].forEach(element => {
+            element?.addEventListener('input', () => this.updateRewritePreview());
+        });
+        [this.elements.spokenEmails, this.elements.spokenPunctuation].forEach(element => {
+            element?.addEventListener('change', () => this.updateRewritePreview());
+        });
+
+        this.elements.wakeWordIndicator?.addEventListener('click', () => {
+            this.toggleWakeWordPause();
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            if (e.code === 'Space' && !e.target.matches('input, textarea')) {
+            if (e.code === 'Space' && !e.target.matches('input, textarea, select')) {
+                e.preventDefault();
+                if (!window.configManager.get('pushToTalk') || window.voiceProcessor.isDictating()) {
+                    this.toggleListening();
+                } else if (!e.repeat) {
+                    this.beginPushToTalk();
+                }
+            } else if (e.key === '/' && !e.target.matches('input, textarea, select')) {
                 e.preventDefault();
-                this.toggleListening();
+                this.elements.composerInput?.focus();
             } else if (e.key === 'Escape') {
                 this.stopAll();
             }
         });
 
+        document.addEventListener('keyup', (e) => {
+            if (e.code === 'Space' && window.configManager.get('pushToTalk') && !e.target.matches('input, textarea, select')) {
+                e.preventDefault();
+                this.endPushToTalk(false);
+            }
+        });
+
+        // A key or pointer released outside the window never reports back
+        window.addEventListener('blur', () => {
+            this.endPushToTalk(true);
+        });
+
+        // Replay queued commands when the connection comes back
+        window.addEventListener('online', () => {
+            Utils.log('Connection restored');
+            window.n8nClient.flushQueue();
+        });
+
+        window.addEventListener('offline', () => {
+            Utils.log('Connection lost', 'warn');
+        });
+
+        // Results of commands replayed by the service worker's background sync
+        navigator.serviceWorker?.addEventListener('message', (event) => {
+            if (event.data?.type === 'COMMAND_SYNCED') {
+                window.n8nClient.deliverQueuedResults();
+            }
+        });
+
+        this.elements.queueIndicator?.addEventListener('click', () => {
+            window.n8nClient.flushQueue();
+        });
+
+        // Language quick switcher, and a sideways swipe on the logo to flip between favourites
+        this.elements.languageSwitcher?.addEventListener('change', (e) => {
+            window.languageManager.setLanguage(e.target.value);
+        });
+
+        let swipeStart = null;
+        this.elements.logoContainer?.addEventListener('touchstart', (e) => {
+            swipeStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+        }, { passive: true });
+        this.elements.logoContainer?.addEventListener('touchend', (e) => {
+            if (!swipeStart) return;
+            const dx = e.changedTouches[0].clientX - swipeStart.x;
+            const dy = e.changedTouches[0].clientY - swipeStart.y;
+            swipeStart = null;
+
+            if (Math.abs(dx) > 60 && Math.abs(dy) < 40) {
+                this.cycleLanguage();
+            }
+        });
+
         // App visibility changes
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) {
@@ -173,6 +525,13 @@ class VoiceAssistantApp {
             }
         });
 
+        // Load older turns when scrolled to the top of the conversation
+        this.elements.conversationScroll?.addEventListener('scroll', Utils.throttle(() => {
+            if (this.elements.conversationScroll.scrollTop < 40) {
+                this.loadOlderMessages();
+            }
+        }, 250));
+
         // Debug panel toggle (double tap on status)
         let tapCount = 0;
         this.elements.status?.addEventListener('click', () => {
@@ -200,12 +559,84 @@ class VoiceAssistantApp {
             window.n8nClient.initialize(config.n8nUrl);
         }
 
+        // Recognition and speech language
+        window.languageManager.onChange = this.handleLanguageChange;
+        this.renderLanguageOptions();
+
         // Update UI with saved settings
         this.updateSettingsUI(config);
 
+        // Restore saved conversation history
+        await this.loadConversationHistory();
+
+        // Show results of commands replayed while the app was closed, then send any still queued
+        window.n8nClient.onQueueChange = this.updateQueueIndicator;
+        window.n8nClient.onQueuedResult = this.handleQueuedResult;
+        await window.n8nClient.deliverQueuedResults();
+        window.n8nClient.flushQueue();
+
+        // Start the on-device wake word listener
+        window.wakeWordListener.onWake = this.handleWakeWord;
+        window.wakeWordListener.onStateChange = this.handleWakeWordState;
+        window.wakeWordListener.initialize();
+
         Utils.log('Components initialized');
     }
 
+    /**
+     * Fill the language pickers
+     */
+    renderLanguageOptions() {
+        const languages = window.languageManager.languages;
+        const fill = (select, labelOf, includeNone = false) => {
+            if (!select) return;
+            select.innerHTML = '';
+
+            if (includeNone) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.textContent = 'None';
+                select.appendChild(option);
+            }
+
+            languages.forEach(language => {
+                const option = document.createElement('option');
+                option.value = language.code;
+                option.textContent = labelOf(language);
+                select.appendChild(option);
+            });
+        };
+
+        fill(this.elements.languageSwitcher, language => language.short);
+        fill(this.elements.language, language => `${language.name} (${language.code})`);
+        fill(this.elements.favoriteLanguage1, language => language.name, true);
+        fill(this.elements.favoriteLanguage2, language => language.name, true);
+
+        if (this.elements.languageSwitcher) {
+            this.elements.languageSwitcher.value = window.languageManager.getLanguage();
+        }
+    }
+
+    /**
+     * Apply a new language to recognition, speech and the switcher
+     */
+    handleLanguageChange(code) {
+        window.voiceProcessor.setLanguage(code);
+        if (this.elements.languageSwitcher) {
+            this.elements.languageSwitcher.value = code;
+        }
+        this.showMessage(`Language: ${window.languageManager.getName(code)}`, 'info');
+    }
+
+    /**
+     * Flip between the two favourite languages
+     */
+    cycleLanguage() {
+        if (!window.languageManager.cycleFavorite()) {
+            this.showMessage('Choose two favourite languages in Settings to switch by swiping', 'info');
+        }
+    }
+
     /**
      * Setup PWA features
      */
@@ -254,11 +685,13 @@ class VoiceAssistantApp {
      */
     handleStatusChange(status) {
         Utils.log(`Status changed to: ${status}`);
+        this.currentStatus = status;
 
         // Update status display
         if (this.elements.status) {
-            this.elements.status.textContent = status.charAt(0).toUpperCase() + status.slice(1);
-            this.elements.status.className = `status-indicator ${status}`;
+            const label = status.charAt(0).toUpperCase() + status.slice(1);
+            this.elements.status.textContent = this.conversationMode ? `${label} · Conversation` : label;
+            this.elements.status.className = `status-indicator ${status}${this.conversationMode ? ' conversation' : ''}`;
         }
 
         // Update visualizer
@@ -266,26 +699,71 @@ class VoiceAssistantApp {
             this.elements.voiceVisualizer.className = `voice-visualizer ${status}`;
         }
 
-        // Update button text for one-shot behavior (no voice output)
+        // Update button text for one-shot behavior
         if (this.elements.listeningText) {
             switch (status) {
                 case 'listening':
-                    this.elements.listeningText.textContent = 'Listening...';
+                    if (window.voiceProcessor.isPushToTalkActive()) {
+                        this.elements.listeningText.textContent = this.pushToTalkHold?.cancelling ? 'Release to Cancel' : 'Release to Send';
+                    } else {
+                        this.elements.listeningText.textContent = this.conversationMode ? 'Listening... Tap to End' : 'Listening...';
+                    }
                     this.elements.toggleListening.classList.add('active');
-                    this.elements.toggleListening.disabled = true; // Disable during listening
+                    this.elements.toggleListening.classList.toggle('cancelling', !!this.pushToTalkHold?.cancelling);
+                    // One-shot: disable during listening; push-to-talk needs the release
+                    this.elements.toggleListening.disabled = !this.conversationMode && !window.voiceProcessor.isPushToTalkActive();
                     break;
                 case 'processing':
                     this.elements.listeningText.textContent = 'Processing...';
                     this.elements.toggleListening.disabled = true; // Keep disabled
                     break;
-                default:
-                    this.elements.listeningText.textContent = 'Ask Another Question';
+                case 'transcribing':
+                    this.elements.listeningText.textContent = 'Transcribing...';
+                    this.elements.toggleListening.disabled = true; // Recording is being converted to text
+                    break;
+                case 'responding':
+                    this.elements.listeningText.textContent = 'Receiving...';
+                    this.elements.toggleListening.disabled = true; // Reply is still streaming in
+                    break;
+                case 'dictating':
+                    this.elements.listeningText.textContent = 'Finish Note';
+                    this.elements.toggleListening.classList.add('active');
+                    this.elements.toggleListening.disabled = false; // Tap to send the note
+                    break;
+                case 'reviewing':
+                    this.elements.listeningText.textContent = 'Check the Transcript';
                     this.elements.toggleListening.classList.remove('active');
+                    this.elements.toggleListening.disabled = true; // Send or discard from the review panel
+                    break;
+                case 'speaking':
+                    this.elements.listeningText.textContent = 'Stop Speaking';
+                    this.elements.toggleListening.classList.add('active');
+                    this.elements.toggleListening.disabled = false; // Allow interrupting the reply
+                    break;
+                default:
+                    const expectedInput = window.voiceProcessor.getExpectedInput();
+                    if (expectedInput === 'confirmation') {
+                        this.elements.listeningText.textContent = 'Answer Yes or No';
+                    } else if (expectedInput === 'slot') {
+                        this.elements.listeningText.textContent = 'Answer the Question';
+                    } else if (this.conversationMode) {
+                        this.elements.listeningText.textContent = 'End Conversation';
+                    } else {
+                        this.elements.listeningText.textContent = window.configManager.get('pushToTalk') ? 'Hold to Talk' : 'Ask Another Question';
+                    }
+                    this.elements.toggleListening.classList.toggle('active', this.conversationMode);
                     this.elements.toggleListening.disabled = false; // Enable for new question
                     break;
             }
         }
 
+        // Keep the wake word listener off the microphone while the assistant is busy
+        if (status === 'ready' && !this.conversationMode) {
+            window.wakeWordListener?.unsuspend();
+        } else {
+            window.wakeWordListener?.suspend();
+        }
+
         // Show/hide loading overlay
         if (status === 'processing') {
             this.showLoading('Processing your request...');
@@ -295,169 +773,1156 @@ class VoiceAssistantApp {
     }
 
     /**
-     * Handle voice level updates
+     * Handle switches between one-shot and conversation mode
      */
-    handleVoiceLevel(level) {
-        if (this.elements.voiceLevelBar) {
-            this.elements.voiceLevelBar.style.width = `${level}%`;
-        }
+    handleModeChange(mode) {
+        Utils.log(`Listening mode changed to: ${mode}`);
+        this.conversationMode = mode === 'conversation';
+        this.handleStatusChange(this.currentStatus);
     }
 
     /**
-     * Handle voice recognition results
+     * Handle the wake word being heard
      */
-    handleVoiceResult(transcript, response) {
-        Utils.log(`Voice result - Transcript: ${transcript}`);
+    async handleWakeWord() {
+        if (window.voiceProcessor.isListening) return;
 
-        // Add messages to conversation display
-        this.addMessage('user', transcript);
-        if (response?.text) {
-            this.addMessage('assistant', response.text);
+        if (!window.configManager.isConfigured()) {
+            window.wakeWordListener.unsuspend();
+            this.showError('Please configure n8n webhook URL in settings first');
+            return;
         }
 
-        // Visual feedback
-        Utils.vibrate([100, 50, 100]);
+        // No status change follows a failed start, so nothing else would resume the listener
+        if (!(await this.startListening())) {
+            window.wakeWordListener.unsuspend();
+        }
     }
 
     /**
-     * Handle voice processing errors
+     * Handle wake word listener state changes
      */
-    handleVoiceError(error) {
-        Utils.log(`Voice error: ${error}`, 'error');
-        this.showError(error);
-        Utils.vibrate(500);
+    handleWakeWordState(state) {
+        const indicator = this.elements.wakeWordIndicator;
+        if (!indicator) return;
+
+        const labels = {
+            armed: `Say "${window.wakeWordListener.getPhrase()}"`,
+            suspended: 'Wake word waiting',
+            paused: 'Wake word paused',
+            untrained: 'Wake word needs samples'
+        };
+
+        indicator.hidden = state === 'off';
+        indicator.textContent = labels[state] || '';
+        indicator.className = `wake-word-indicator ${state}`;
     }
 
     /**
-     * Add message to conversation display
+     * Pause or resume the wake word listener
      */
-    addMessage(type, text, timestamp = null) {
-        if (!this.elements.conversationScroll || !text?.trim()) return;
+    toggleWakeWordPause() {
+        const listener = window.wakeWordListener;
 
-        // Remove welcome message if it exists
-        const welcome = this.elements.conversationScroll.querySelector('.conversation-welcome');
-        if (welcome) {
-            welcome.remove();
+        if (listener.getState() === 'untrained') {
+            this.openSettings();
+        } else if (listener.isPaused) {
+            listener.resume();
+        } else {
+            listener.pause();
         }
-
-        // Create message element
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `conversation-message message-${type}`;
-
-        const bubbleDiv = document.createElement('div');
-        bubbleDiv.className = 'message-bubble';
-        bubbleDiv.textContent = text.trim();
-
-        const timestampSpan = document.createElement('span');
-        timestampSpan.className = 'message-timestamp';
-        timestampSpan.textContent = timestamp || this.formatTimestamp(new Date());
-
-        messageDiv.appendChild(bubbleDiv);
-        messageDiv.appendChild(timestampSpan);
-
-        // Add to conversation
-        this.elements.conversationScroll.appendChild(messageDiv);
-
-        // Auto-scroll to bottom
-        this.scrollConversationToBottom();
-
-        // Limit conversation history (keep last 50 messages)
-        this.limitConversationHistory();
     }
 
     /**
-     * Format timestamp for display
+     * Record one sample of the wake phrase
      */
-    formatTimestamp(date) {
-        return date.toLocaleTimeString([], {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: false
-        });
-    }
+    async recordWakeWordSample() {
+        const button = this.elements.recordWakeWord;
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Say it now...';
+        }
 
-    /**
-     * Scroll conversation to bottom
-     */
-    scrollConversationToBottom() {
-        if (this.elements.conversationScroll) {
-            setTimeout(() => {
-                this.elements.conversationScroll.scrollTop = this.elements.conversationScroll.scrollHeight;
-            }, 100);
+        try {
+            await window.wakeWordListener.recordSample();
+            this.showMessage('Wake word sample recorded', 'success');
+        } catch (error) {
+            this.showError(`Wake word sample failed: ${Utils.getErrorMessage(error)}`);
+        }
+
+        if (button) {
+            button.disabled = false;
+            button.textContent = 'Record Sample';
         }
+        this.updateWakeWordSamples();
     }
 
     /**
-     * Limit conversation history to prevent memory issues
+     * Update the wake word sample counter
      */
-    limitConversationHistory() {
-        const messages = this.elements.conversationScroll.querySelectorAll('.conversation-message');
-        const maxMessages = 50;
-
-        if (messages.length > maxMessages) {
-            for (let i = 0; i < messages.length - maxMessages; i++) {
-                messages[i].remove();
-            }
+    updateWakeWordSamples() {
+        if (this.elements.wakeWordSamples) {
+            const listener = window.wakeWordListener;
+            this.elements.wakeWordSamples.textContent = `${listener.templates.length}/${listener.requiredSamples} samples`;
         }
     }
 
     /**
-     * Clear conversation display
+     * Handle voice level updates
      */
-    clearConversation() {
-        if (this.elements.conversationScroll) {
-            this.elements.conversationScroll.innerHTML = `
-                <div class="conversation-welcome">
-                    <p>Welcome! I'm listening for your question...</p>
-                </div>
-            `;
+    handleVoiceLevel(level) {
+        if (this.elements.voiceLevelBar) {
+            this.elements.voiceLevelBar.style.width = `${level}%`;
         }
     }
 
     /**
-     * Start a new one-shot listening session
+     * Show what is being said in a pending user bubble, finished words apart from those still changing
      */
-    async toggleListening() {
-        if (!window.configManager.isConfigured()) {
-            this.showError('Please configure n8n webhook URL in settings first');
-            this.openSettings();
+    handleInterim(finalText, interimText) {
+        if (finalText === null) {
+            this.pendingUserMessage?.remove();
+            this.pendingUserMessage = null;
             return;
         }
 
-        if (!window.voiceProcessor.isSupported()) {
-            this.showError('Speech recognition is not supported in this browser');
-            return;
+        if (!this.pendingUserMessage?.isConnected) {
+            this.pendingUserMessage = this.addMessage('user', '...', null, { pending: true });
+            if (!this.pendingUserMessage) return;
         }
 
-        // Always start listening (one-shot behavior)
-        await this.startListening();
+        const bubble = this.pendingUserMessage.querySelector('.message-bubble');
+        bubble.textContent = '';
+
+        if (finalText) {
+            const final = document.createElement('span');
+            final.className = 'transcript-final';
+            final.textContent = finalText;
+            bubble.appendChild(final);
+        }
+        if (interimText) {
+            const interim = document.createElement('span');
+            interim.className = 'transcript-interim';
+            interim.textContent = finalText ? ` ${interimText}` : interimText;
+            bubble.appendChild(interim);
+        }
+
+        this.scrollConversationToBottom();
     }
 
     /**
-     * Start listening
+     * Add the user's message, in place of the live transcript bubble if there is one
      */
-    async startListening() {
-        try {
-            const success = await window.voiceProcessor.startListening();
-            if (!success) {
-                this.showError('Failed to start voice recognition');
+    addUserMessage(text, options = {}) {
+        const pending = this.pendingUserMessage;
+        this.pendingUserMessage = null;
+
+        const message = this.addMessage('user', text, null, options);
+        if (pending?.isConnected) {
+            if (message) {
+                // Already on screen, so it should not slide in a second time
+                message.classList.add('message-settled');
+                pending.replaceWith(message);
+            } else {
+                pending.remove();
             }
-        } catch (error) {
-            this.showError(`Failed to start listening: ${Utils.getErrorMessage(error)}`);
         }
+        return message;
     }
 
     /**
-     * Stop listening
+     * Show a streamed reply as it arrives
      */
-    stopListening() {
-        window.voiceProcessor.stopListening();
-    }
+    handleResponseChunk(transcript, text) {
+        if (!this.streamingExchange) {
+            const userMessage = this.addUserMessage(transcript);
+            const assistantMessage = this.addMessage('assistant', '...', null, { streaming: true });
+            this.streamingExchange = { userMessage, assistantMessage };
+        }
+
+        const bubble = this.streamingExchange.assistantMessage?.querySelector('.message-bubble');
+        if (bubble) {
+            bubble.textContent = text.trim() || '...';
+            this.scrollConversationToBottom();
+        }
+    }
+
+    /**
+     * Handle voice recognition results
+     */
+    handleVoiceResult(transcript, response) {
+        Utils.log(`Voice result - Transcript: ${transcript}`);
+
+        // Add messages to conversation display and history
+        const status = response?.error ? 'error' : 'ok';
+        const conversationId = window.conversationSession.getId();
+        const streamed = this.streamingExchange;
+        this.streamingExchange = null;
+
+        if (response?.queued) {
+            // Offline: show the command as queued, the reply arrives when it is replayed
+            const queueId = response.queueId;
+            const userMessage = this.addUserMessage(transcript, { status: 'queued', queueId });
+            this.saveTurn(userMessage, { role: 'user', text: transcript, conversationId, status: 'queued', queueId })
+                .then(record => record && window.commandQueue.update(queueId, { turnId: record.id }));
+            this.showMessage(response.text, 'info');
+            Utils.vibrate([100, 50, 100]);
+            return;
+        }
+
+        const userMessage = streamed?.userMessage || this.addUserMessage(transcript);
+        this.saveTurn(userMessage, { role: 'user', text: transcript, conversationId, status });
+
+        const endpoint = response?.endpoint ?? null;
+
+        // Finish the streamed bubble instead of adding a second one
+        if (streamed?.assistantMessage) {
+            if (response?.text) {
+                this.finishStreamingMessage(streamed.assistantMessage, response.text, status, endpoint);
+            } else {
+                streamed.assistantMessage.remove();
+            }
+        }
+
+        if (response?.text) {
+            const rich = this.getRichContent(response);
+            const assistantMessage = streamed?.assistantMessage ||
+                this.addMessage('assistant', response.text, null, { status, endpoint, ...rich });
+            this.saveTurn(assistantMessage, {
+                role: 'assistant',
+                text: response.text,
+                conversationId,
+                raw: response.raw ?? null,
+                status,
+                error: response.error ?? null,
+                endpoint,
+                rich
+            });
+
+            if (response.confirmation && assistantMessage) {
+                this.renderConfirmationActions(assistantMessage);
+            } else if (response.slot && assistantMessage) {
+                this.renderSlotActions(assistantMessage);
+            }
+        }
+
+        // Visual feedback
+        Utils.vibrate([100, 50, 100]);
+    }
+
+    /**
+     * Replace the streamed text of a message with the final reply
+     */
+    finishStreamingMessage(messageDiv, text, status, endpoint = null) {
+        messageDiv.classList.remove('message-streaming');
+        messageDiv.classList.toggle('message-error', status === 'error');
+
+        const bubble = messageDiv.querySelector('.message-bubble');
+        if (bubble) {
+            bubble.textContent = text.trim();
+        }
+
+        const label = this.getEndpointLabel(endpoint);
+        const timestamp = messageDiv.querySelector('.message-timestamp');
+        if (label && timestamp) {
+            timestamp.textContent += label;
+        }
+    }
+
+    /**
+     * Get the cards and buttons of a reply, or null for plain replies
+     */
+    getRichContent(response) {
+        const cards = response?.cards || [];
+        const buttons = response?.buttons || [];
+        return cards.length || buttons.length ? { cards, buttons } : null;
+    }
+
+    /**
+     * Render reply cards and action buttons below a message bubble
+     */
+    renderRichContent(messageDiv, { cards = [], buttons = [], endpoint = null }) {
+        if (cards.length) {
+            const list = document.createElement('div');
+            list.className = 'message-cards';
+
+            cards.forEach(card => {
+                const cardEl = document.createElement(card.url ? 'a' : 'div');
+                cardEl.className = 'message-card';
+                if (card.url) {
+                    cardEl.href = card.url;
+                    cardEl.target = '_blank';
+                    cardEl.rel = 'noopener noreferrer';
+                }
+
+                if (card.image) {
+                    const image = document.createElement('img');
+                    image.src = card.image;
+                    image.alt = '';
+                    image.loading = 'lazy';
+                    cardEl.appendChild(image);
+                }
+
+                const title = document.createElement('div');
+                title.className = 'message-card-title';
+                title.textContent = card.title;
+                cardEl.appendChild(title);
+
+                if (card.subtitle) {
+                    const subtitle = document.createElement('div');
+                    subtitle.className = 'message-card-subtitle';
+                    subtitle.textContent = card.subtitle;
+                    cardEl.appendChild(subtitle);
+                }
+
+                list.appendChild(cardEl);
+            });
+
+            messageDiv.appendChild(list);
+        }
+
+        if (buttons.length) {
+            const actions = document.createElement('div');
+            actions.className = 'message-actions';
+
+            buttons.forEach(button => {
+                const buttonEl = document.createElement('button');
+                buttonEl.type = 'button';
+                buttonEl.className = 'message-action';
+                buttonEl.textContent = button.label;
+                buttonEl.addEventListener('click', () => {
+                    this.handleActionButton(button, endpoint);
+                });
+                actions.appendChild(buttonEl);
+            });
+
+            messageDiv.appendChild(actions);
+        }
+    }
+
+    /**
+     * Send the follow-up of a reply button to the endpoint that sent the reply
+     */
+    async handleActionButton(button, endpoint) {
+        if (this.currentStatus === 'processing' || this.currentStatus === 'responding') {
+            this.showMessage('Please wait for the current reply', 'info');
+            return;
+        }
+
+        const target = endpoint ? window.endpointRouter.getEndpoint(endpoint.id) : null;
+        if (endpoint && !target) {
+            this.showError(`The "${endpoint.name}" endpoint no longer exists`);
+            return;
+        }
+
+        Utils.log(`Reply button tapped: ${button.label}`);
+
+        // Let the turn that is still reading its reply finish first
+        if (window.voiceProcessor.isSpeaking()) {
+            window.voiceProcessor.stopSpeaking();
+            await window.voiceProcessor.currentTurn;
+        }
+
+        await window.voiceProcessor.sendText(button.text, { endpoint: target, metadata: { action: button.payload } });
+    }
+
+    /**
+     * Add Yes/No buttons for a workflow's confirmation question
+     */
+    renderConfirmationActions(messageDiv) {
+        this.questionActions?.remove();
+
+        const actions = document.createElement('div');
+        actions.className = 'message-actions message-confirmation';
+
+        [['Yes', true], ['No', false]].forEach(([label, confirmed]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `message-action${confirmed ? ' confirm' : ''}`;
+            button.textContent = label;
+            button.addEventListener('click', async () => {
+                if (window.voiceProcessor.isSpeaking()) {
+                    window.voiceProcessor.stopSpeaking();
+                    await window.voiceProcessor.currentTurn;
+                }
+                window.voiceProcessor.answerConfirmation(confirmed);
+            });
+            actions.appendChild(button);
+        });
+
+        messageDiv.insertBefore(actions, messageDiv.querySelector('.message-timestamp'));
+        this.questionActions = actions;
+    }
+
+    /**
+     * Add a Cancel button to a workflow's follow-up question
+     */
+    renderSlotActions(messageDiv) {
+        this.questionActions?.remove();
+
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'message-action';
+        button.textContent = 'Cancel';
+        button.addEventListener('click', async () => {
+            if (window.voiceProcessor.isSpeaking()) {
+                window.voiceProcessor.stopSpeaking();
+                await window.voiceProcessor.currentTurn;
+            }
+            window.voiceProcessor.cancelSlotFilling();
+        });
+        actions.appendChild(button);
+
+        messageDiv.insertBefore(actions, messageDiv.querySelector('.message-timestamp'));
+        this.questionActions = actions;
+    }
+
+    /**
+     * Drop the Cancel button once the question is answered, cancelled or expires
+     */
+    handleSlotChange(pending) {
+        if (!pending) {
+            this.questionActions?.remove();
+            this.questionActions = null;
+        }
+        this.handleStatusChange(this.currentStatus);
+    }
+
+    /**
+     * Drop the Yes/No buttons once the confirmation is answered or expires
+     */
+    handleConfirmationChange(pending) {
+        if (!pending) {
+            this.questionActions?.remove();
+            this.questionActions = null;
+        }
+        this.handleStatusChange(this.currentStatus);
+    }
+
+    /**
+     * Show or hide the review panel for a transcript waiting to be sent
+     */
+    handleReview(pending) {
+        this.stopReviewCountdown();
+
+        if (!pending) {
+            this.elements.reviewPanel.hidden = true;
+            this.elements.reviewAlternatives.innerHTML = '';
+            return;
+        }
+
+        this.elements.reviewText.value = pending.text;
+        this.elements.reviewAlternatives.innerHTML = '';
+
+        pending.alternatives.forEach(alternative => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `review-alternative${alternative.transcript === pending.text ? ' selected' : ''}`;
+            button.textContent = alternative.transcript;
+
+            // Engines that give no score report 0
+            if (alternative.confidence > 0) {
+                const score = document.createElement('span');
+                score.className = 'review-confidence';
+                score.textContent = `${Math.round(alternative.confidence * 100)}%`;
+                button.appendChild(score);
+            }
+
+            button.addEventListener('click', () => {
+                window.voiceProcessor.submitReview(alternative.transcript);
+            });
+            this.elements.reviewAlternatives.appendChild(button);
+        });
+
+        this.elements.reviewPanel.hidden = false;
+
+        if (pending.countdown > 0) {
+            let remaining = pending.countdown;
+            this.elements.reviewCountdown.textContent = `Sending in ${remaining}s`;
+
+            this.reviewTimer = setInterval(() => {
+                remaining--;
+                if (remaining > 0) {
+                    this.elements.reviewCountdown.textContent = `Sending in ${remaining}s`;
+                } else {
+                    this.stopReviewCountdown();
+                    window.voiceProcessor.submitReview(this.elements.reviewText.value);
+                }
+            }, 1000);
+        } else {
+            this.elements.reviewCountdown.textContent = pending.lowConfidence
+                ? 'Not sure I heard that right'
+                : '';
+        }
+    }
+
+    /**
+     * Show, update or hide the note draft
+     */
+    handleDictationChange(dictation) {
+        if (!dictation) {
+            this.elements.dictationPanel.hidden = true;
+            this.elements.dictationDraft.value = '';
+            return;
+        }
+
+        // Dictated segments are added at the end, so follow them there
+        if (this.elements.dictationDraft.value !== dictation.text) {
+            this.elements.dictationDraft.value = dictation.text;
+            this.elements.dictationDraft.scrollTop = this.elements.dictationDraft.scrollHeight;
+        }
+
+        this.elements.dictationPause.textContent = dictation.state === 'paused' ? 'Resume' : 'Pause';
+        this.elements.dictationPanel.classList.toggle('paused', dictation.state === 'paused');
+        this.elements.dictationPanel.hidden = false;
+        this.updateDictationInfo();
+    }
+
+    /**
+     * Show the word count and state of the note draft
+     */
+    updateDictationInfo() {
+        const dictation = window.voiceProcessor.dictation;
+        if (!dictation || !this.elements.dictationInfo) return;
+
+        const words = window.noteDictation.countWords(this.elements.dictationDraft.value);
+        const state = dictation.state === 'paused' ? 'Paused' : 'Say "finish note" to send';
+        this.elements.dictationInfo.textContent = `${words} ${words === 1 ? 'word' : 'words'} · ${state}`;
+    }
+
+    /**
+     * Stop a reviewed transcript from sending itself once the user starts editing
+     */
+    stopReviewCountdown() {
+        if (this.reviewTimer) {
+            clearInterval(this.reviewTimer);
+            this.reviewTimer = null;
+            this.elements.reviewCountdown.textContent = '';
+        }
+    }
+
+    /**
+     * Timestamp suffix naming the endpoint that handled an exchange
+     */
+    getEndpointLabel(endpoint) {
+        if (!endpoint?.name) return '';
+        // With a single webhook every reply comes from it, so there is nothing to show
+        if (endpoint.id === window.endpointRouter.defaultId && !window.endpointRouter.hasNamedEndpoints()) return '';
+        return ` · via ${endpoint.name}`;
+    }
+
+    /**
+     * Show the result of a queued command once it has been replayed
+     */
+    handleQueuedResult(command, response) {
+        const status = command.status === 'done' ? 'ok' : 'error';
+        const conversationId = command.body?.conversation?.id || window.conversationSession.getId();
+
+        // Clear the queued marker on the original message
+        const userMessage = this.elements.conversationScroll?.querySelector(`[data-queue-id="${command.id}"]`);
+        if (userMessage) {
+            userMessage.classList.remove('message-queued');
+            const timestamp = userMessage.querySelector('.message-timestamp');
+            if (timestamp) {
+                timestamp.textContent = timestamp.textContent.replace(' · Queued', '');
+            }
+        }
+
+        if (command.turnId) {
+            window.historyStore.updateTurn(command.turnId, { status })
+                .catch(error => Utils.log(`Failed to update queued turn: ${Utils.getErrorMessage(error)}`, 'warn'));
+        }
+
+        const known = window.endpointRouter.getEndpoint(command.endpointId);
+        const endpoint = command.endpointId
+            ? { id: command.endpointId, name: known?.name || command.endpointId }
+            : null;
+
+        const text = response?.text || `Your queued request "${command.text}" could not be sent: ${command.error || 'unknown error'}`;
+        const rich = this.getRichContent(response);
+        const assistantMessage = this.addMessage('assistant', text, null, { status, replayed: true, endpoint, ...rich });
+        this.saveTurn(assistantMessage, {
+            role: 'assistant',
+            text,
+            conversationId,
+            raw: response?.raw ?? null,
+            status,
+            error: status === 'error' ? command.error : null,
+            queueId: command.id,
+            endpoint,
+            rich
+        });
+
+        if (response && conversationId === window.conversationSession.getId()) {
+            window.conversationSession.addExchange(command.text, response.text, response.raw);
+        }
+    }
+
+    /**
+     * Show how many commands are waiting to be sent
+     */
+    async updateQueueIndicator() {
+        const indicator = this.elements.queueIndicator;
+        if (!indicator) return;
+
+        const queued = await window.n8nClient.getQueuedCommands();
+        indicator.hidden = queued.length === 0;
+        indicator.textContent = `${queued.length} queued command${queued.length === 1 ? '' : 's'}`;
+        indicator.title = queued.map(command => command.text).join('\n');
+    }
+
+    /**
+     * Handle voice processing errors
+     */
+    handleVoiceError(error) {
+        Utils.log(`Voice error: ${error}`, 'error');
+        this.showError(error);
+        Utils.vibrate(500);
+    }
+
+    /**
+     * Add message to conversation display
+     */
+    addMessage(type, text, timestamp = null, options = {}) {
+        if (!this.elements.conversationScroll || !text?.trim()) return null;
+
+        const date = options.date || new Date();
+
+        // Remove welcome message if it exists
+        const welcome = this.elements.conversationScroll.querySelector('.conversation-welcome');
+        if (welcome) {
+            welcome.remove();
+        }
+
+        // Create message element
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `conversation-message message-${type}`;
+        messageDiv.dataset.timestamp = date.toISOString();
+        if (options.status === 'error') {
+            messageDiv.classList.add('message-error');
+        }
+        if (options.status === 'queued') {
+            messageDiv.classList.add('message-queued');
+        }
+        if (options.streaming) {
+            messageDiv.classList.add('message-streaming');
+        }
+        if (options.pending) {
+            messageDiv.classList.add('message-pending');
+        }
+        if (options.queueId) {
+            messageDiv.dataset.queueId = options.queueId;
+        }
+
+        const bubbleDiv = document.createElement('div');
+        bubbleDiv.className = 'message-bubble';
+        bubbleDiv.textContent = text.trim();
+
+        const timestampSpan = document.createElement('span');
+        timestampSpan.className = 'message-timestamp';
+        timestampSpan.textContent = timestamp || this.formatTimestamp(date);
+        if (options.status === 'queued') {
+            timestampSpan.textContent += ' · Queued';
+        } else if (options.replayed) {
+            timestampSpan.textContent += ' · Sent later';
+        }
+        timestampSpan.textContent += this.getEndpointLabel(options.endpoint);
+
+        messageDiv.appendChild(bubbleDiv);
+        this.renderRichContent(messageDiv, options);
+        messageDiv.appendChild(timestampSpan);
+
+        // Older turns loaded from history go above the existing ones
+        if (options.prepend) {
+            this.elements.conversationScroll.insertBefore(messageDiv, this.elements.conversationScroll.firstChild);
+            return messageDiv;
+        }
+
+        // Add to conversation
+        this.elements.conversationScroll.appendChild(messageDiv);
+
+        // Auto-scroll to bottom
+        this.scrollConversationToBottom();
+
+        // Limit rendered messages (older ones stay in the history store)
+        this.limitConversationHistory();
+
+        return messageDiv;
+    }
+
+    /**
+     * Persist a turn and tie its rendered message to the stored record
+     */
+    async saveTurn(messageDiv, turn) {
+        try {
+            const record = await window.historyStore.addTurn(turn);
+            if (messageDiv) {
+                messageDiv.dataset.timestamp = record.timestamp;
+                messageDiv.dataset.turnId = record.id;
+            }
+            return record;
+        } catch (error) {
+            Utils.log(`Failed to save turn to history: ${Utils.getErrorMessage(error)}`, 'warn');
+            return null;
+        }
+    }
+
+    /**
+     * Render a turn loaded from the history store
+     */
+    renderTurn(record, options = {}) {
+        const messageDiv = this.addMessage(record.role, record.text, null, {
+            date: new Date(record.timestamp),
+            status: record.status,
+            queueId: record.queueId,
+            replayed: record.role === 'assistant' && !!record.queueId,
+            endpoint: record.endpoint,
+            ...record.rich,
+            ...options
+        });
+
+        if (messageDiv) {
+            messageDiv.dataset.turnId = record.id;
+        }
+        return messageDiv;
+    }
+
+    /**
+     * Render the most recent turns from history on startup
+     */
+    async loadConversationHistory() {
+        try {
+            const records = await window.historyStore.getPage();
+            this.hasMoreHistory = records.length >= window.historyStore.pageSize;
+
+            records.forEach(record => this.renderTurn(record));
+
+            Utils.log(`Restored ${records.length} turns from history`);
+        } catch (error) {
+            this.hasMoreHistory = false;
+            Utils.log(`Conversation history unavailable: ${Utils.getErrorMessage(error)}`, 'warn');
+        }
+    }
+
+    /**
+     * Page older turns in above the current ones
+     */
+    async loadOlderMessages() {
+        if (this.isLoadingHistory || !this.hasMoreHistory) return;
+
+        const scroll = this.elements.conversationScroll;
+        const oldest = scroll?.querySelector('.conversation-message');
+        if (!oldest) return;
+
+        this.isLoadingHistory = true;
+
+        try {
+            const records = await window.historyStore.getPage(oldest.dataset.timestamp);
+            this.hasMoreHistory = records.length >= window.historyStore.pageSize;
+
+            // Keep the visible messages in place while content is added above
+            const previousHeight = scroll.scrollHeight;
+
+            for (let i = records.length - 1; i >= 0; i--) {
+                this.renderTurn(records[i], { prepend: true });
+            }
+
+            scroll.scrollTop += scroll.scrollHeight - previousHeight;
+
+            if (records.length) {
+                Utils.log(`Loaded ${records.length} older turns from history`, 'debug');
+            }
+        } catch (error) {
+            Utils.log(`Failed to load older turns: ${Utils.getErrorMessage(error)}`, 'warn');
+        }
+
+        this.isLoadingHistory = false;
+    }
+
+    /**
+     * Format timestamp for display
+     */
+    formatTimestamp(date) {
+        const time = date.toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false
+        });
+
+        if (date.toDateString() === new Date().toDateString()) {
+            return time;
+        }
+
+        return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+    }
+
+    /**
+     * Scroll conversation to bottom
+     */
+    scrollConversationToBottom() {
+        if (this.elements.conversationScroll) {
+            setTimeout(() => {
+                this.elements.conversationScroll.scrollTop = this.elements.conversationScroll.scrollHeight;
+            }, 100);
+        }
+    }
+
+    /**
+     * Limit rendered messages to prevent memory issues (removed ones can be paged back in)
+     */
+    limitConversationHistory() {
+        const messages = this.elements.conversationScroll.querySelectorAll('.conversation-message');
+        const maxMessages = 50;
+
+        if (messages.length > maxMessages) {
+            for (let i = 0; i < messages.length - maxMessages; i++) {
+                messages[i].remove();
+            }
+            this.hasMoreHistory = true;
+        }
+    }
+
+    /**
+     * Clear conversation display
+     */
+    clearConversation() {
+        this.hasMoreHistory = true;
+
+        if (this.elements.conversationScroll) {
+            this.elements.conversationScroll.innerHTML = `
+                <div class="conversation-welcome">
+                    <p>Welcome! I'm listening for your question...</p>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Show or hide the conversation archive
+     */
+    toggleHistory() {
+        const isOpen = this.elements.historyPanel?.classList.toggle('open');
+
+        this.elements.conversationContainer?.classList.toggle('hidden', isOpen);
+        this.elements.composer?.classList.toggle('hidden', isOpen);
+        if (this.elements.historyBtn) {
+            this.elements.historyBtn.textContent = isOpen ? 'Back' : 'History';
+        }
+
+        if (isOpen) {
+            this.searchHistory();
+            this.elements.historySearch?.focus();
+        }
+    }
+
+    /**
+     * Run an archive search with the current filters
+     */
+    async searchHistory() {
+        try {
+            const groups = await window.conversationArchive.search({
+                query: this.elements.historySearch?.value || '',
+                fromDate: this.elements.historyFrom?.value || '',
+                toDate: this.elements.historyTo?.value || '',
+                status: this.elements.historyStatus?.value || ''
+            });
+            this.renderHistoryResults(groups);
+        } catch (error) {
+            Utils.log(`Archive search failed: ${Utils.getErrorMessage(error)}`, 'error');
+            this.showError('Conversation history is not available');
+        }
+    }
+
+    /**
+     * Render archive search results grouped by conversation
+     */
+    renderHistoryResults(groups) {
+        const results = this.elements.historyResults;
+        if (!results) return;
+
+        results.innerHTML = '';
+
+        if (!groups.length) {
+            const empty = document.createElement('p');
+            empty.className = 'history-empty';
+            empty.textContent = 'No matching conversations';
+            results.appendChild(empty);
+            return;
+        }
+
+        groups.forEach(group => {
+            const item = document.createElement('label');
+            item.className = 'history-item';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = group.id;
+
+            const details = document.createElement('div');
+            details.className = 'history-item-details';
+
+            const header = document.createElement('div');
+            header.className = 'history-item-header';
+            const count = group.matches.length;
+            header.textContent = `${window.conversationArchive.formatDate(group.lastTimestamp)} · ${count} matching turn${count === 1 ? '' : 's'}`;
+            details.appendChild(header);
+
+            group.matches.slice(-3).forEach(turn => {
+                const snippet = document.createElement('div');
+                snippet.className = `history-snippet${turn.status === 'error' ? ' error' : ''}`;
+                const text = turn.text.length > 120 ? `${turn.text.substring(0, 117)}...` : turn.text;
+                snippet.textContent = `${turn.role === 'user' ? 'You' : 'Assistant'}: ${text}`;
+                details.appendChild(snippet);
+            });
+
+            item.appendChild(checkbox);
+            item.appendChild(details);
+            results.appendChild(item);
+        });
+    }
+
+    /**
+     * Export the selected conversations (or all results if none are selected)
+     */
+    async exportHistory(mode) {
+        const checkboxes = Array.from(this.elements.historyResults?.querySelectorAll('input[type="checkbox"]') || []);
+        const selected = checkboxes.filter(checkbox => checkbox.checked);
+        const ids = (selected.length ? selected : checkboxes).map(checkbox => checkbox.value);
+
+        if (!ids.length) {
+            this.showError('No conversations to export');
+            return;
+        }
+
+        const format = this.elements.exportFormat?.value || 'markdown';
+
+        try {
+            if (mode === 'copy') {
+                const success = await window.conversationArchive.copy(ids, format);
+                success ? this.showMessage('Copied to clipboard', 'success') : this.showError('Failed to copy conversations');
+            } else {
+                const count = await window.conversationArchive.download(ids, format);
+                this.showMessage(`Exported ${count} conversation${count === 1 ? '' : 's'}`, 'success');
+            }
+        } catch (error) {
+            Utils.log(`Export failed: ${Utils.getErrorMessage(error)}`, 'error');
+            this.showError('Failed to export conversations');
+        }
+    }
+
+    /**
+     * Forget the conversation context and start over
+     */
+    startNewConversation() {
+        window.conversationSession.reset();
+        this.clearConversation();
+        this.showMessage('Started a new conversation', 'info');
+    }
+
+    /**
+     * Start a new listening session, or end the current conversation
+     */
+    async toggleListening() {
+        if (window.voiceProcessor.isDictating()) {
+            window.voiceProcessor.finishDictation();
+            return;
+        }
+
+        if (!window.configManager.isConfigured()) {
+            this.showError('Please configure n8n webhook URL in settings first');
+            this.openSettings();
+            return;
+        }
+
+        // Tapping while a reply is being read out interrupts it
+        if (window.voiceProcessor.isSpeaking()) {
+            window.voiceProcessor.stopSpeaking();
+            return;
+        }
+
+        if (this.conversationMode) {
+            this.stopAll();
+            return;
+        }
+
+        if (!window.voiceProcessor.isSupported()) {
+            this.showError('Speech recognition is not supported in this browser. Type your message instead.');
+            this.elements.composerInput?.focus();
+            return;
+        }
+
+        await this.startListening();
+    }
+
+    /**
+     * Start dictating a note from the Dictate Note button
+     */
+    async startDictation() {
+        if (!window.configManager.isConfigured()) {
+            this.showError('Please configure n8n webhook URL in settings first');
+            this.openSettings();
+            return;
+        }
+
+        if (!window.voiceProcessor.isSupported()) {
+            this.showError('Speech recognition is not supported in this browser. Type your message instead.');
+            this.elements.composerInput?.focus();
+            return;
+        }
+
+        if (this.currentStatus === 'processing' || this.currentStatus === 'responding') {
+            this.showMessage('Please wait for the current reply', 'info');
+            return;
+        }
+
+        if (window.voiceProcessor.isSpeaking()) {
+            window.voiceProcessor.stopSpeaking();
+            await window.voiceProcessor.currentTurn;
+        }
+
+        await window.voiceProcessor.startDictation();
+    }
+
+    /**
+     * Start listening for as long as the button or Space is held
+     */
+    async beginPushToTalk() {
+        if (!window.configManager.isConfigured()) {
+            this.pushToTalkHold = null;
+            this.showError('Please configure n8n webhook URL in settings first');
+            this.openSettings();
+            return;
+        }
+
+        // Pressing while a reply is being read out interrupts it
+        if (window.voiceProcessor.isSpeaking()) {
+            this.pushToTalkHold = null;
+            window.voiceProcessor.stopSpeaking();
+            return;
+        }
+
+        if (this.conversationMode) {
+            this.pushToTalkHold = null;
+            this.stopAll();
+            return;
+        }
+
+        if (!window.voiceProcessor.isSupported()) {
+            this.pushToTalkHold = null;
+            this.showError('Speech recognition is not supported in this browser. Type your message instead.');
+            this.elements.composerInput?.focus();
+            return;
+        }
+
+        // Still busy with the previous question
+        if (this.elements.toggleListening?.disabled) return;
+
+        // Failures are reported through onError
+        const success = await window.voiceProcessor.startPushToTalk();
+        if (!success) {
+            this.pushToTalkHold = null;
+        }
+    }
+
+    /**
+     * Release push-to-talk: send what was said, or drop it when cancelled
+     */
+    endPushToTalk(cancelled) {
+        this.pushToTalkHold = null;
+        this.elements.toggleListening?.classList.remove('cancelling');
+        if (!window.voiceProcessor.isPushToTalkActive()) return;
+
+        if (cancelled) {
+            window.voiceProcessor.cancelPushToTalk();
+        } else {
+            window.voiceProcessor.finishPushToTalk();
+        }
+        this.handleStatusChange(this.currentStatus);
+    }
+
+    /**
+     * Mark the main button as hold-to-talk when push-to-talk is on
+     */
+    applyListeningMode() {
+        this.elements.toggleListening?.classList.toggle('push-to-talk', window.configManager.get('pushToTalk') === true);
+        this.handleStatusChange(this.currentStatus);
+    }
+
+    /**
+     * Send the composer's text through the same pipeline as speech
+     */
+    async sendTypedText() {
+        const text = this.elements.composerInput?.value.trim();
+        if (!text) return;
+
+        // While dictating, typed text goes into the note
+        if (window.voiceProcessor.isDictating()) {
+            this.elements.composerInput.value = '';
+            window.voiceProcessor.addDictationSegment(text);
+            return;
+        }
+
+        if (!window.configManager.isConfigured()) {
+            this.showError('Please configure n8n webhook URL in settings first');
+            this.openSettings();
+            return;
+        }
+
+        if (this.currentStatus === 'processing' || this.currentStatus === 'responding') {
+            this.showMessage('Please wait for the current reply', 'info');
+            return;
+        }
+
+        this.elements.composerInput.value = '';
+        this.lastTypedText = text;
+
+        // Let the turn that is still reading its reply finish first
+        if (window.voiceProcessor.isSpeaking()) {
+            window.voiceProcessor.stopSpeaking();
+            await window.voiceProcessor.currentTurn;
+        }
+
+        await window.voiceProcessor.submitText(text);
+    }
+
+    /**
+     * Start listening; resolves to whether listening started
+     */
+    async startListening() {
+        try {
+            const success = window.configManager.get('autoListen')
+                ? await window.voiceProcessor.startConversation()
+                : await window.voiceProcessor.startListening();
+            if (!success) {
+                this.showError('Failed to start voice recognition');
+            }
+            return success;
+        } catch (error) {
+            this.showError(`Failed to start listening: ${Utils.getErrorMessage(error)}`);
+            return false;
+        }
+    }
+
+    /**
+     * Stop listening
+     */
+    stopListening() {
+        window.voiceProcessor.stopListening();
+    }
 
     /**
      * Stop all voice activities
      */
     stopAll() {
+        window.voiceProcessor.cancelPushToTalk();
+        window.voiceProcessor.pauseDictation(); // Keep the draft; it is discarded only on request
+        window.voiceProcessor.cancelReview();
+        window.voiceProcessor.setPendingConfirmation(null);
+        window.voiceProcessor.setPendingSlot(null);
+        window.voiceProcessor.endConversation();
         window.voiceProcessor.stopListening();
         window.voiceProcessor.stopSpeaking();
     }
@@ -485,6 +1950,19 @@ class VoiceAssistantApp {
         if (this.elements.n8nUrl) {
             this.elements.n8nUrl.value = config.n8nUrl || '';
         }
+        if (this.elements.sttEngine) {
+            this.elements.sttEngine.value = config.sttEngine || 'webspeech';
+            this.elements.whisperUrl.value = config.whisperUrl || '';
+            this.elements.whisperModel.value = config.whisperModel || '';
+            this.elements.whisperApiKey.value = '';
+            this.updateSttFields();
+            this.loadSttCredentials();
+        }
+        if (this.elements.audioTransport) {
+            this.elements.audioTransport.value = config.audioTransport || 'base64';
+            this.elements.audioFormat.value = config.audioFormat || 'auto';
+            this.elements.audioMaxKB.value = config.audioMaxKB ?? 1024;
+        }
         if (this.elements.voiceSpeed) {
             this.elements.voiceSpeed.value = config.voiceSpeed || 1.0;
             this.elements.speedValue.textContent = `${config.voiceSpeed || 1.0}x`;
@@ -493,6 +1971,357 @@ class VoiceAssistantApp {
             this.elements.voicePitch.value = config.voicePitch || 1.0;
             this.elements.pitchValue.textContent = config.voicePitch || 1.0;
         }
+        if (this.elements.language) {
+            this.elements.language.value = window.languageManager.getLanguage();
+        }
+        if (this.elements.favoriteLanguage1) {
+            const favorites = config.favoriteLanguages || [];
+            this.elements.favoriteLanguage1.value = favorites[0] || '';
+            this.elements.favoriteLanguage2.value = favorites[1] || '';
+        }
+        if (this.elements.speakResponses) {
+            this.elements.speakResponses.checked = config.speakResponses !== false;
+        }
+        if (this.elements.autoListen) {
+            this.elements.autoListen.checked = config.autoListen !== false;
+        }
+        if (this.elements.pushToTalk) {
+            this.elements.pushToTalk.checked = config.pushToTalk === true;
+        }
+        if (this.elements.reviewTranscripts) {
+            this.elements.reviewTranscripts.checked = config.reviewTranscripts === true;
+        }
+        if (this.elements.reviewConfidence) {
+            this.elements.reviewConfidence.value = Math.round((config.reviewConfidence ?? 0.6) * 100);
+            this.elements.rejectConfidence.value = Math.round((config.rejectConfidence ?? 0.3) * 100);
+        }
+        if (this.elements.rewriteRules) {
+            this.elements.rewriteRules.value = window.transcriptRewriter.formatRules(config.rewriteRules);
+            this.elements.spokenEmails.checked = config.spokenEmails !== false;
+            this.elements.spokenPunctuation.checked = config.spokenPunctuation === true;
+            this.updateRewritePreview();
+        }
+        if (this.elements.contextTurns) {
+            this.elements.contextTurns.value = config.contextTurns ?? 10;
+            this.elements.contextTurnsValue.textContent = `${config.contextTurns ?? 10} messages`;
+        }
+        if (this.elements.contextMaxChars) {
+            this.elements.contextMaxChars.value = config.contextMaxChars ?? 4000;
+        }
+        if (this.elements.wakeWordEnabled) {
+            this.elements.wakeWordEnabled.checked = !!config.wakeWordEnabled;
+        }
+        if (this.elements.wakeWordPhrase) {
+            this.elements.wakeWordPhrase.value = config.wakeWordPhrase || '';
+        }
+        if (this.elements.wakeWordSensitivity) {
+            this.elements.wakeWordSensitivity.value = config.wakeWordSensitivity ?? 0.5;
+            this.elements.sensitivityValue.textContent = config.wakeWordSensitivity ?? 0.5;
+        }
+        this.updateWakeWordSamples();
+        this.loadEndpointSettings();
+    }
+
+    /**
+     * Load endpoints and their credentials into editable drafts
+     */
+    async loadEndpointSettings() {
+        const endpoints = window.endpointRouter.getEndpoints();
+
+        this.endpointDrafts = await Promise.all(endpoints.map(async endpoint => {
+            let auth = null;
+            try {
+                auth = await window.webhookAuth.get(endpoint.id);
+            } catch (error) {
+                Utils.log(`Failed to load credentials for ${endpoint.name}: ${Utils.getErrorMessage(error)}`, 'warn');
+            }
+
+            return {
+                id: endpoint.id,
+                name: endpoint.name,
+                url: endpoint.url,
+                rulesText: window.endpointRouter.formatRules(endpoint.rules),
+                sendAudio: !!endpoint.sendAudio,
+                reviewConfidence: endpoint.reviewConfidence ?? null,
+                auth: auth || { type: 'none' }
+            };
+        }));
+
+        this.selectedEndpointId = window.endpointRouter.defaultId;
+        this.renderEndpointOptions();
+        this.showEndpointDraft();
+    }
+
+    /**
+     * Fill the endpoint picker
+     */
+    renderEndpointOptions() {
+        const select = this.elements.endpointSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.endpointDrafts.forEach(draft => {
+            const option = document.createElement('option');
+            option.value = draft.id;
+            option.textContent = draft.id === window.endpointRouter.defaultId
+                ? 'Default (n8n Webhook URL)'
+                : draft.name || 'Unnamed endpoint';
+            select.appendChild(option);
+        });
+        select.value = this.selectedEndpointId;
+    }
+
+    /**
+     * Get the draft of the endpoint being edited
+     */
+    getSelectedEndpointDraft() {
+        return this.endpointDrafts?.find(draft => draft.id === this.selectedEndpointId) || null;
+    }
+
+    /**
+     * Show the selected endpoint in the editor fields
+     */
+    showEndpointDraft() {
+        const draft = this.getSelectedEndpointDraft();
+        if (!draft) return;
+
+        const isDefault = draft.id === window.endpointRouter.defaultId;
+        if (this.elements.endpointDetails) {
+            this.elements.endpointDetails.hidden = isDefault;
+        }
+        if (this.elements.removeEndpoint) {
+            this.elements.removeEndpoint.disabled = isDefault;
+        }
+        if (this.elements.endpointName) {
+            this.elements.endpointName.value = draft.name || '';
+            this.elements.endpointUrl.value = draft.url || '';
+            this.elements.endpointRules.value = draft.rulesText || '';
+            this.elements.endpointReviewConfidence.value = draft.reviewConfidence == null ? '' : Math.round(draft.reviewConfidence * 100);
+        }
+
+        const auth = draft.auth;
+        if (this.elements.authType) {
+            this.elements.authType.value = auth.type || 'none';
+        }
+        if (this.elements.authHeaderName) {
+            this.elements.authHeaderName.value = auth.headerName || '';
+            this.elements.authHeaderValue.value = auth.headerValue || '';
+        }
+        if (this.elements.authUsername) {
+            this.elements.authUsername.value = auth.username || '';
+            this.elements.authPassword.value = auth.password || '';
+        }
+        if (this.elements.authToken) {
+            this.elements.authToken.value = auth.token || '';
+        }
+        if (this.elements.hmacSecret) {
+            this.elements.hmacSecret.value = auth.hmacSecret || '';
+        }
+        if (this.elements.endpointSendAudio) {
+            this.elements.endpointSendAudio.checked = !!draft.sendAudio;
+        }
+        this.updateAuthFields();
+    }
+
+    /**
+     * Copy the editor fields back into the selected endpoint's draft
+     */
+    storeEndpointDraft() {
+        const draft = this.getSelectedEndpointDraft();
+        if (!draft) return;
+
+        if (draft.id !== window.endpointRouter.defaultId && this.elements.endpointName) {
+            draft.name = this.elements.endpointName.value.trim();
+            draft.url = this.elements.endpointUrl.value.trim();
+            draft.rulesText = this.elements.endpointRules.value;
+            draft.reviewConfidence = this.readPercent(this.elements.endpointReviewConfidence, null);
+        }
+
+        draft.sendAudio = this.elements.endpointSendAudio?.checked ?? false;
+
+        draft.auth = {
+            type: this.elements.authType?.value || 'none',
+            headerName: this.elements.authHeaderName?.value,
+            headerValue: this.elements.authHeaderValue?.value,
+            username: this.elements.authUsername?.value,
+            password: this.elements.authPassword?.value,
+            token: this.elements.authToken?.value,
+            hmacSecret: this.elements.hmacSecret?.value
+        };
+    }
+
+    /**
+     * Switch the editor to another endpoint
+     */
+    selectEndpoint(id) {
+        this.storeEndpointDraft();
+        this.selectedEndpointId = id;
+        this.renderEndpointOptions();
+        this.showEndpointDraft();
+    }
+
+    /**
+     * Add a named endpoint to the drafts
+     */
+    addEndpoint() {
+        this.storeEndpointDraft();
+
+        const draft = {
+            id: Utils.generateId(),
+            name: 'New Endpoint',
+            url: '',
+            rulesText: '',
+            sendAudio: false,
+            reviewConfidence: null,
+            auth: { type: 'none' }
+        };
+        this.endpointDrafts.push(draft);
+        this.selectedEndpointId = draft.id;
+        this.renderEndpointOptions();
+        this.showEndpointDraft();
+        this.elements.endpointName?.focus();
+    }
+
+    /**
+     * Remove the selected named endpoint from the drafts
+     */
+    removeEndpoint() {
+        if (this.selectedEndpointId === window.endpointRouter.defaultId) return;
+
+        this.endpointDrafts = this.endpointDrafts.filter(draft => draft.id !== this.selectedEndpointId);
+        this.selectedEndpointId = window.endpointRouter.defaultId;
+        this.renderEndpointOptions();
+        this.showEndpointDraft();
+    }
+
+    /**
+     * Validate the endpoint drafts and convert them to config entries
+     */
+    buildEndpointConfig() {
+        return this.endpointDrafts
+            .filter(draft => draft.id !== window.endpointRouter.defaultId)
+            .map(draft => {
+                if (!draft.name) {
+                    throw new Error('Every endpoint needs a name');
+                }
+                if (!Utils.isValidUrl(draft.url)) {
+                    throw new Error(`Please enter a valid webhook URL for "${draft.name}"`);
+                }
+
+                let rules;
+                try {
+                    rules = window.endpointRouter.parseRules(draft.rulesText || '');
+                } catch (error) {
+                    throw new Error(`Routing rules for "${draft.name}": ${error.message}`);
+                }
+
+                return {
+                    id: draft.id,
+                    name: draft.name,
+                    url: draft.url,
+                    rules,
+                    sendAudio: !!draft.sendAudio,
+                    reviewConfidence: draft.reviewConfidence ?? null
+                };
+            });
+    }
+
+    /**
+     * Read a percentage field as a 0-1 fraction (the fallback when it is empty)
+     */
+    readPercent(input, fallback) {
+        const value = parseFloat(input?.value);
+        if (Number.isNaN(value)) return fallback;
+        return Math.min(Math.max(value, 0), 100) / 100;
+    }
+
+    /**
+     * Check the credential fields of every endpoint before anything is stored
+     */
+    validateEndpointCredentials() {
+        for (const draft of this.endpointDrafts) {
+            try {
+                window.webhookAuth.normalize(draft.auth);
+            } catch (error) {
+                throw new Error(`${draft.name}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Store the credentials of every endpoint and drop those of removed endpoints
+     */
+    async saveEndpointCredentials(previousIds) {
+        for (const draft of this.endpointDrafts) {
+            try {
+                await window.webhookAuth.set(draft.id, draft.auth);
+            } catch (error) {
+                throw new Error(`${draft.name}: ${error.message}`);
+            }
+        }
+
+        const currentIds = new Set(this.endpointDrafts.map(draft => draft.id));
+        for (const id of previousIds) {
+            if (!currentIds.has(id)) {
+                await window.webhookAuth.remove(id);
+            }
+        }
+    }
+
+    /**
+     * Show the transcription server fields when the Whisper engine is selected
+     */
+    updateSttFields() {
+        if (this.elements.whisperSettings) {
+            this.elements.whisperSettings.hidden = this.elements.sttEngine.value !== 'whisper';
+        }
+    }
+
+    /**
+     * Load the transcription server's API key
+     */
+    async loadSttCredentials() {
+        try {
+            const auth = await window.webhookAuth.get('stt');
+            this.elements.whisperApiKey.value = auth?.token || '';
+        } catch (error) {
+            Utils.log(`Failed to load transcription API key: ${Utils.getErrorMessage(error)}`, 'warn');
+        }
+    }
+
+    /**
+     * Show only the credential fields of the selected auth type
+     */
+    updateAuthFields() {
+        const type = this.elements.authType?.value || 'none';
+        this.elements.authFields?.forEach(group => {
+            group.hidden = group.dataset.authType !== type;
+        });
+    }
+
+    /**
+     * Show a phrase before and after the transcript corrections being edited
+     */
+    updateRewritePreview() {
+        const phrase = this.elements.rewritePreviewInput?.value.trim();
+        if (!phrase) {
+            this.elements.rewritePreview.textContent = '';
+            this.elements.rewritePreview.classList.remove('error');
+            return;
+        }
+
+        try {
+            const rewritten = window.transcriptRewriter.apply(phrase, {
+                rules: window.transcriptRewriter.parseRules(this.elements.rewriteRules.value),
+                spokenEmails: this.elements.spokenEmails.checked,
+                spokenPunctuation: this.elements.spokenPunctuation.checked
+            });
+            this.elements.rewritePreview.textContent = `Before: ${phrase}\nAfter: ${rewritten}`;
+            this.elements.rewritePreview.classList.remove('error');
+        } catch (error) {
+            this.elements.rewritePreview.textContent = Utils.getErrorMessage(error);
+            this.elements.rewritePreview.classList.add('error');
+        }
     }
 
     /**
@@ -502,6 +2331,30 @@ class VoiceAssistantApp {
         const n8nUrl = this.elements.n8nUrl?.value?.trim();
         const voiceSpeed = parseFloat(this.elements.voiceSpeed?.value || 1.0);
         const voicePitch = parseFloat(this.elements.voicePitch?.value || 1.0);
+        const language = this.elements.language?.value || window.languageManager.getLanguage();
+        const sttEngine = this.elements.sttEngine?.value || 'webspeech';
+        const whisperUrl = this.elements.whisperUrl?.value?.trim() || '';
+        const whisperModel = this.elements.whisperModel?.value?.trim() || 'whisper-1';
+        const whisperApiKey = this.elements.whisperApiKey?.value?.trim() || '';
+        const audioTransport = this.elements.audioTransport?.value || 'base64';
+        const audioFormat = this.elements.audioFormat?.value || 'auto';
+        const audioMaxKB = parseInt(this.elements.audioMaxKB?.value || 1024, 10);
+        const favoriteLanguages = [this.elements.favoriteLanguage1?.value, this.elements.favoriteLanguage2?.value]
+            .filter(Boolean)
+            .filter((code, index, codes) => codes.indexOf(code) === index);
+        const speakResponses = this.elements.speakResponses?.checked ?? true;
+        const autoListen = this.elements.autoListen?.checked ?? true;
+        const pushToTalk = this.elements.pushToTalk?.checked ?? false;
+        const reviewTranscripts = this.elements.reviewTranscripts?.checked ?? false;
+        const reviewConfidence = this.readPercent(this.elements.reviewConfidence, 0.6);
+        const rejectConfidence = this.readPercent(this.elements.rejectConfidence, 0.3);
+        const spokenEmails = this.elements.spokenEmails?.checked ?? true;
+        const spokenPunctuation = this.elements.spokenPunctuation?.checked ?? false;
+        const contextTurns = parseInt(this.elements.contextTurns?.value ?? 10, 10);
+        const contextMaxChars = parseInt(this.elements.contextMaxChars?.value || 4000, 10);
+        const wakeWordEnabled = this.elements.wakeWordEnabled?.checked ?? false;
+        const wakeWordPhrase = this.elements.wakeWordPhrase?.value?.trim() || 'Hey Yakeen';
+        const wakeWordSensitivity = parseFloat(this.elements.wakeWordSensitivity?.value ?? 0.5);
 
         // Validate n8n URL
         if (!n8nUrl) {
@@ -514,12 +2367,47 @@ class VoiceAssistantApp {
             return;
         }
 
+        let endpoints;
+        let sendAudio;
+        try {
+            this.storeEndpointDraft();
+            endpoints = this.buildEndpointConfig();
+            sendAudio = !!this.endpointDrafts.find(draft => draft.id === window.endpointRouter.defaultId)?.sendAudio;
+        } catch (error) {
+            this.showError(Utils.getErrorMessage(error));
+            return;
+        }
+
+        if (sttEngine === 'whisper' && !Utils.isValidUrl(whisperUrl)) {
+            this.showError('Please enter a valid transcription URL for the Whisper engine');
+            return;
+        }
+
+        let rewriteRules;
+        try {
+            rewriteRules = window.transcriptRewriter.parseRules(this.elements.rewriteRules?.value || '');
+        } catch (error) {
+            this.showError(`Transcript corrections: ${Utils.getErrorMessage(error)}`);
+            return;
+        }
+
+        // Credentials are only stored once the test passes and the settings are saved,
+        // so a failed save leaves them matching the saved endpoints
+        try {
+            this.validateEndpointCredentials();
+        } catch (error) {
+            this.showError(`Invalid credentials: ${Utils.getErrorMessage(error)}`);
+            return;
+        }
+        const previousIds = window.endpointRouter.getEndpoints().map(endpoint => endpoint.id);
+        const defaultAuth = this.endpointDrafts.find(draft => draft.id === window.endpointRouter.defaultId)?.auth;
+
         // Test n8n connection
         this.showLoading('Testing n8n connection...');
 
         try {
             window.n8nClient.initialize(n8nUrl);
-            const testResult = await window.n8nClient.testConnection();
+            const testResult = await window.n8nClient.testConnection(defaultAuth ?? {});
 
             if (!testResult.success) {
                 this.hideLoading();
@@ -530,18 +2418,55 @@ class VoiceAssistantApp {
             // Save configuration
             const success = window.configManager.update({
                 n8nUrl,
+                endpoints,
+                favoriteLanguages,
+                sttEngine,
+                whisperUrl,
+                whisperModel,
+                sendAudio,
+                audioTransport,
+                audioFormat,
+                audioMaxKB,
                 voiceSpeed,
-                voicePitch
+                voicePitch,
+                speakResponses,
+                autoListen,
+                pushToTalk,
+                reviewTranscripts,
+                reviewConfidence,
+                rejectConfidence,
+                rewriteRules,
+                spokenEmails,
+                spokenPunctuation,
+                contextTurns,
+                contextMaxChars,
+                wakeWordEnabled,
+                wakeWordPhrase,
+                wakeWordSensitivity
             });
 
             if (success) {
+                try {
+                    await this.saveEndpointCredentials(previousIds);
+                    await window.webhookAuth.set('stt', { type: whisperApiKey ? 'bearer' : 'none', token: whisperApiKey });
+                } catch (error) {
+                    this.hideLoading();
+                    this.showError(`Failed to save credentials: ${Utils.getErrorMessage(error)}`);
+                    return;
+                }
+
+                window.languageManager.setLanguage(language);
+                window.voiceProcessor.setEngine(sttEngine);
+                window.wakeWordListener.refresh();
+                this.applyListeningMode();
                 this.hideLoading();
                 this.showMessage('Settings saved successfully!', 'success');
                 this.closeSettings();
 
-                // Start one-shot listening if this was the first setup
+                // Start listening if this was the first setup
                 if (this.isFirstRun) {
                     this.isFirstRun = false;
+                    if (pushToTalk) return;
                     setTimeout(() => {
                         this.startListening();
                     }, 1000);
@@ -621,6 +2546,9 @@ class VoiceAssistantApp {
             initialized: this.isInitialized,
             configured: window.configManager.isConfigured(),
             voiceProcessor: window.voiceProcessor.getStatus(),
+            speechOutput: window.speechOutput.getStatus(),
+            wakeWord: window.wakeWordListener.getStatus(),
+            conversation: window.conversationSession.getStatus(),
             n8nClient: window.n8nClient.getStatus(),
             deviceInfo: Utils.getDeviceInfo()
         };
@@ -633,6 +2561,9 @@ class VoiceAssistantApp {
         if (window.voiceProcessor) {
             window.voiceProcessor.destroy();
         }
+        if (window.wakeWordListener) {
+            window.wakeWordListener.destroy();
+        }
         this.isInitialized = false;
         Utils.log('App destroyed');
     }
@@ -6,9 +6,18 @@
 class N8nClient {
     constructor() {
         this.baseUrl = '';
+        this.endpointId = 'default'; // Key of this webhook's credentials in the auth store
         this.timeout = 30000; // 30 seconds
+        this.streamIdleTimeout = 30000; // Longest wait for the next chunk of a streamed reply
+        this.requestControllers = new WeakMap(); // Response -> AbortController, to cut off stalled streams
         this.retryAttempts = 3;
         this.retryDelay = 1000;
+        this.isFlushingQueue = false;
+        this.deliveredCommands = new Set();
+
+        // Event handlers
+        this.onQueueChange = null;
+        this.onQueuedResult = null;
     }
 
     /**
@@ -20,10 +29,12 @@ class N8nClient {
     }
 
     /**
-     * Send voice text to n8n webhook
+     * Send voice text to n8n webhook, optionally with the recorded clip ({ blob, mimeType, duration })
      */
-    async sendVoiceInput(text, metadata = {}) {
-        if (!this.baseUrl) {
+    async sendVoiceInput(text, metadata = {}, endpoint = null, audio = null) {
+        const target = this._resolveEndpoint(endpoint);
+
+        if (!target.url) {
             throw new Error('n8n URL not configured');
         }
 
@@ -31,48 +42,176 @@ class N8nClient {
             throw new Error('No text provided');
         }
 
-        const payload = {
+        const payload = this._buildPayload(text, { ...metadata, endpoint: target.id });
+
+        Utils.log(`Sending to n8n (${target.name}): ${text.substring(0, 100)}${text.length > 100 ? '...' : ''}`);
+
+        try {
+            const response = await this._makeRequest('POST', target.url, payload, target.id, audio);
+            Utils.log(`n8n response received (${response.status})`);
+            return this._tagEndpoint(await this._processResponse(response), target);
+        } catch (error) {
+            Utils.log(`n8n request failed: ${Utils.getErrorMessage(error)}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Send voice text and iterate over the reply as it arrives.
+     * Yields { type: 'chunk', text, fullText } for each streamed piece of text,
+     * then { type: 'done', response } with the same shape sendVoiceInput() returns.
+     * Non-streaming webhooks yield only the 'done' event.
+     */
+    async *streamVoiceInput(text, metadata = {}, endpoint = null, audio = null) {
+        const target = this._resolveEndpoint(endpoint);
+
+        if (!target.url) {
+            throw new Error('n8n URL not configured');
+        }
+
+        if (!text?.trim()) {
+            throw new Error('No text provided');
+        }
+
+        const payload = this._buildPayload(text, { ...metadata, endpoint: target.id });
+
+        Utils.log(`Sending to n8n (${target.name}): ${text.substring(0, 100)}${text.length > 100 ? '...' : ''}`);
+
+        try {
+            const response = await this._makeRequest('POST', target.url, payload, target.id, audio);
+            Utils.log(`n8n response received (${response.status})`);
+
+            if (!this._isStreamingResponse(response)) {
+                yield { type: 'done', response: this._tagEndpoint(await this._processResponse(response), target) };
+                return;
+            }
+
+            Utils.log(`n8n response is streaming (${response.headers.get('content-type')})`);
+            let fullText = '';
+
+            for await (const message of this._readStream(response)) {
+                const chunk = this._extractChunkText(message);
+                if (!chunk) continue;
+
+                fullText += chunk;
+                yield { type: 'chunk', text: chunk, fullText };
+            }
+
+            yield { type: 'done', response: this._tagEndpoint(this._buildStreamedResponse(fullText), target) };
+        } catch (error) {
+            Utils.log(`n8n request failed: ${Utils.getErrorMessage(error)}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Get the endpoint a request goes to, falling back to the default webhook
+     */
+    _resolveEndpoint(endpoint) {
+        return endpoint || { id: this.endpointId, name: 'Default', url: this.baseUrl };
+    }
+
+    /**
+     * Record which endpoint produced a response
+     */
+    _tagEndpoint(response, endpoint) {
+        return { ...response, endpoint: { id: endpoint.id, name: endpoint.name } };
+    }
+
+    /**
+     * Build the webhook payload for a voice input
+     */
+    _buildPayload(text, metadata = {}) {
+        const conversation = window.conversationSession?.getContext() || null;
+
+        return {
             text: text.trim(),
             timestamp: new Date().toISOString(),
             source: 'voice-assistant',
+            conversation,
             metadata: {
                 userAgent: navigator.userAgent,
                 timestamp: Date.now(),
+                conversationId: conversation?.id,
+                language: window.languageManager?.getLanguage(),
                 ...metadata
             }
         };
+    }
 
-        Utils.log(`Sending to n8n: ${text.substring(0, 100)}${text.length > 100 ? '...' : ''}`);
+    /**
+     * Get request headers
+     */
+    _getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json, application/x-ndjson, text/event-stream',
+            'User-Agent': 'Voice-Assistant/1.0'
+        };
+    }
 
-        try {
-            const response = await this._makeRequest('POST', this.baseUrl, payload);
-            Utils.log(`n8n response received (${response.status})`);
-            return await this._processResponse(response);
-        } catch (error) {
-            Utils.log(`n8n request failed: ${Utils.getErrorMessage(error)}`, 'error');
-            throw error;
+    /**
+     * Get request headers including authentication for a serialized body
+     */
+    async _getRequestHeaders(body = '', endpointId = this.endpointId, auth = undefined) {
+        // Explicit auth settings replace the stored ones
+        const authHeaders = auth === undefined
+            ? await window.webhookAuth.getHeaders(endpointId, body)
+            : await window.webhookAuth.buildHeaders(window.webhookAuth.normalize(auth), body);
+        return { ...this._getHeaders(), ...authHeaders };
+    }
+
+    /**
+     * Serialize a payload, attaching an audio clip as base64 JSON or as a multipart file.
+     * Returns the body to send and the text the signature covers.
+     */
+    async _serializeBody(data, audio = null) {
+        if (!audio) {
+            const json = JSON.stringify(data);
+            return { body: json, signed: json };
         }
+
+        const info = { mimeType: audio.mimeType, size: audio.blob.size, duration: audio.duration };
+
+        if (window.configManager.get('audioTransport') === 'multipart') {
+            // The JSON payload travels as the "payload" field and is what gets signed
+            const json = JSON.stringify({ ...data, audio: { ...info, field: 'audio' } });
+            const form = new FormData();
+            form.append('payload', json);
+            form.append('audio', audio.blob, `utterance.${Utils.getAudioExtension(audio.mimeType)}`);
+            return { body: form, signed: json };
+        }
+
+        const json = JSON.stringify({
+            ...data,
+            audio: { ...info, encoding: 'base64', data: await Utils.blobToBase64(audio.blob) }
+        });
+        return { body: json, signed: json };
     }
 
     /**
      * Make HTTP request to n8n
      */
-    async _makeRequest(method, url, data = null) {
+    async _makeRequest(method, url, data = null, endpointId = this.endpointId, audio = null, auth = undefined) {
+        // Serialize once so the signature covers exactly the bytes that are sent
+        const { body, signed } = data ? await this._serializeBody(data, audio) : { body: null, signed: null };
+
+        const headers = await this._getRequestHeaders(signed, endpointId, auth);
+        if (body instanceof FormData) {
+            delete headers['Content-Type']; // The browser adds the multipart boundary
+        }
+
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
         const options = {
             method,
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-                'User-Agent': 'Voice-Assistant/1.0'
-            },
+            headers,
             signal: controller.signal
         };
 
-        if (data) {
-            options.body = JSON.stringify(data);
+        if (body) {
+            options.body = body;
         }
 
         try {
@@ -83,6 +222,7 @@ class N8nClient {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
 
+            this.requestControllers.set(response, controller);
             return response;
         } catch (error) {
             clearTimeout(timeoutId);
@@ -102,6 +242,15 @@ class N8nClient {
         const contentType = response.headers.get('content-type');
 
         try {
+            // Buffer streamed replies for callers that want the whole response
+            if (this._isStreamingResponse(response)) {
+                let fullText = '';
+                for await (const message of this._readStream(response)) {
+                    fullText += this._extractChunkText(message);
+                }
+                return this._buildStreamedResponse(fullText);
+            }
+
             let data;
 
             if (contentType?.includes('application/json')) {
@@ -110,34 +259,7 @@ class N8nClient {
                 data = { text: await response.text() };
             }
 
-            // Handle different response formats
-            if (data.error) {
-                throw new Error(data.error);
-            }
-
-            // Extract response text
-            let responseText = '';
-            if (typeof data === 'string') {
-                responseText = data;
-            } else if (data.text) {
-                responseText = data.text;
-            } else if (data.response) {
-                responseText = data.response;
-            } else if (data.message) {
-                responseText = data.message;
-            } else if (data.output) {
-                responseText = data.output;
-            } else if (Array.isArray(data) && data.length > 0 && data[0].output) {
-                responseText = data[0].output;
-            } else {
-                responseText = JSON.stringify(data);
-            }
-
-            return {
-                text: Utils.sanitizeForSpeech(responseText),
-                raw: data,
-                timestamp: new Date().toISOString()
-            };
+            return this._formatResponse(data);
 
         } catch (error) {
             Utils.log(`Failed to process n8n response: ${Utils.getErrorMessage(error)}`, 'error');
@@ -146,9 +268,283 @@ class N8nClient {
     }
 
     /**
-     * Test connection to n8n
+     * Check if a response is streamed (NDJSON or Server-Sent Events)
+     */
+    _isStreamingResponse(response) {
+        const contentType = response.headers.get('content-type') || '';
+        return /application\/(x-)?ndjson|application\/jsonl|text\/event-stream/.test(contentType);
+    }
+
+    /**
+     * Read a streamed response body as parsed messages
+     */
+    async *_readStream(response) {
+        const isEventStream = response.headers.get('content-type').includes('text/event-stream');
+        const reader = response.body.getReader();
+        const controller = this.requestControllers.get(response);
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { value, done } = await this._readChunk(reader, controller);
+                buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+                const { messages, rest } = this._splitStreamBuffer(buffer, isEventStream, done);
+                buffer = rest;
+                yield* messages;
+
+                if (done) break;
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    }
+
+    /**
+     * Read the next chunk of a stream, aborting the request if none arrives within streamIdleTimeout
+     */
+    async _readChunk(reader, controller) {
+        const idleTimer = setTimeout(() => {
+            Utils.log(`No streamed data for ${this.streamIdleTimeout / 1000}s, aborting request`, 'warn');
+            controller?.abort();
+        }, this.streamIdleTimeout);
+
+        try {
+            return await reader.read();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Request timeout');
+            }
+            throw error;
+        } finally {
+            clearTimeout(idleTimer);
+        }
+    }
+
+    /**
+     * Split buffered stream text into complete messages, keeping any partial remainder
+     */
+    _splitStreamBuffer(buffer, isEventStream, flush = false) {
+        const parts = buffer.split(isEventStream ? /\r?\n\r?\n/ : /\r?\n/);
+        const rest = flush ? '' : parts.pop();
+        const messages = [];
+
+        for (const part of parts) {
+            const message = isEventStream ? this._parseStreamEvent(part) : this._parseStreamLine(part);
+            if (message !== null) {
+                messages.push(message);
+            }
+        }
+
+        return { messages, rest };
+    }
+
+    /**
+     * Parse one NDJSON line
+     */
+    _parseStreamLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed) return null;
+
+        try {
+            return JSON.parse(trimmed);
+        } catch {
+            return trimmed;
+        }
+    }
+
+    /**
+     * Parse one Server-Sent Event block
      */
-    async testConnection() {
+    _parseStreamEvent(block) {
+        let eventName = 'message';
+        const dataLines = [];
+
+        block.split(/\r?\n/).forEach(line => {
+            if (line.startsWith('event:')) {
+                eventName = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).replace(/^ /, ''));
+            }
+        });
+
+        if (!dataLines.length) return null;
+
+        const data = dataLines.join('\n');
+        if (data === '[DONE]') return null;
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            message = data;
+        }
+
+        return eventName === 'error' ? { error: typeof message === 'string' ? message : message.error || 'Stream error' } : message;
+    }
+
+    /**
+     * Get the text carried by one streamed message
+     */
+    _extractChunkText(message) {
+        if (typeof message === 'string') return message;
+        if (!message || typeof message !== 'object') return '';
+
+        if (message.error || message.type === 'error') {
+            throw new Error(message.error || message.content || 'n8n stream reported an error');
+        }
+
+        // n8n streaming wraps content in begin/item/end messages
+        if (message.type === 'begin' || message.type === 'end') return '';
+
+        const text = message.text ?? message.delta ?? message.content ?? message.token ??
+            message.output ?? message.choices?.[0]?.delta?.content ?? '';
+        return typeof text === 'string' ? text : '';
+    }
+
+    /**
+     * Build the final response for a streamed reply
+     */
+    _buildStreamedResponse(fullText) {
+        return {
+            text: Utils.sanitizeForDisplay(fullText),
+            speech: Utils.sanitizeForSpeech(fullText),
+            cards: [],
+            buttons: [],
+            raw: { text: fullText, streamed: true },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Format a stored result of a replayed queued command
+     */
+    _formatStoredResult(result) {
+        if (typeof result?.stream !== 'string') {
+            return this._formatResponse(result);
+        }
+
+        const isEventStream = result.contentType?.includes('text/event-stream');
+        const { messages } = this._splitStreamBuffer(result.stream, isEventStream, true);
+        return this._buildStreamedResponse(messages.map(message => this._extractChunkText(message)).join(''));
+    }
+
+    /**
+     * Extract the reply from a parsed n8n response body.
+     * Rich replies may add displayText, speech, cards and buttons next to text (see README).
+     */
+    _formatResponse(data) {
+        // Handle different response formats
+        if (data.error) {
+            throw new Error(data.error);
+        }
+
+        // Extract response text
+        let responseText = '';
+        if (typeof data === 'string') {
+            responseText = data;
+        } else if (data.displayText && !data.text) {
+            responseText = data.displayText;
+        } else if (data.text) {
+            responseText = data.text;
+        } else if (data.response) {
+            responseText = data.response;
+        } else if (data.message) {
+            responseText = data.message;
+        } else if (data.output) {
+            responseText = data.output;
+        } else if (Array.isArray(data) && data.length > 0 && data[0].output) {
+            responseText = data[0].output;
+        } else if (data.confirmation?.summary) {
+            responseText = data.confirmation.summary;
+        } else if (data.slot?.prompt) {
+            responseText = data.slot.prompt;
+        } else {
+            responseText = JSON.stringify(data);
+        }
+
+        const body = Array.isArray(data) ? data[0] || {} : data;
+        const displayText = typeof body.displayText === 'string' ? body.displayText : responseText;
+        const speechText = typeof body.speech === 'string' ? body.speech : responseText;
+
+        return {
+            text: Utils.sanitizeForDisplay(displayText),
+            speech: Utils.sanitizeForSpeech(speechText),
+            cards: this._formatCards(body.cards),
+            buttons: this._formatButtons(body.buttons),
+            confirmation: this._formatConfirmation(body),
+            slot: this._formatSlot(body),
+            raw: data,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Keep well-formed cards, dropping links and images that are not http(s)
+     */
+    _formatCards(cards) {
+        if (!Array.isArray(cards)) return [];
+
+        return cards
+            .filter(card => card && typeof card.title === 'string' && card.title.trim())
+            .slice(0, 10)
+            .map(card => ({
+                title: card.title.trim(),
+                subtitle: typeof card.subtitle === 'string' ? card.subtitle.trim() : '',
+                image: Utils.isHttpUrl(card.image) ? card.image : null,
+                url: Utils.isHttpUrl(card.url) ? card.url : null
+            }));
+    }
+
+    /**
+     * Read a "needs confirmation" answer: { confirmation: { token, summary } }
+     */
+    _formatConfirmation(body) {
+        const confirmation = body.confirmation;
+        if (!confirmation || typeof confirmation.token !== 'string' || !confirmation.token) return null;
+
+        return {
+            token: confirmation.token,
+            summary: typeof confirmation.summary === 'string' ? confirmation.summary.trim() : ''
+        };
+    }
+
+    /**
+     * Read a "missing slot" answer: { slot: { name, prompt, intent, state } }
+     */
+    _formatSlot(body) {
+        const slot = body.slot;
+        if (!slot || typeof slot.name !== 'string' || !slot.name) return null;
+
+        return {
+            name: slot.name,
+            prompt: typeof slot.prompt === 'string' ? slot.prompt.trim() : '',
+            intent: slot.intent ?? null,
+            state: slot.state ?? null
+        };
+    }
+
+    /**
+     * Keep well-formed action buttons
+     */
+    _formatButtons(buttons) {
+        if (!Array.isArray(buttons)) return [];
+
+        return buttons
+            .filter(button => button && typeof button.label === 'string' && button.label.trim())
+            .slice(0, 6)
+            .map(button => ({
+                label: button.label.trim(),
+                text: typeof button.text === 'string' && button.text.trim() ? button.text.trim() : button.label.trim(),
+                payload: button.payload ?? null
+            }));
+    }
+
+    /**
+     * Test connection to n8n, optionally with auth settings that are not stored yet
+     */
+    async testConnection(auth = undefined) {
         if (!this.baseUrl) {
             throw new Error('n8n URL not configured');
         }
@@ -166,7 +562,7 @@ class N8nClient {
                 }
             };
 
-            const response = await this._makeRequest('POST', this.baseUrl, testPayload);
+            const response = await this._makeRequest('POST', this.baseUrl, testPayload, this.endpointId, null, auth);
             const result = await this._processResponse(response);
 
             Utils.log('n8n connection test successful');
@@ -185,14 +581,198 @@ class N8nClient {
     }
 
     /**
-     * Send with retry logic
+     * Send with retry logic, queueing the command (without audio) if the device is offline
+     */
+    async sendWithRetry(text, metadata = {}, endpoint = null, audio = null) {
+        const target = this._resolveEndpoint(endpoint);
+
+        if (target.url && !navigator.onLine) {
+            return await this.queueVoiceInput(text, metadata, target);
+        }
+
+        try {
+            return await Utils.retry(
+                () => this.sendVoiceInput(text, metadata, target, audio),
+                this.retryAttempts,
+                this.retryDelay
+            );
+        } catch (error) {
+            if (target.url && this.isOfflineError()) {
+                return await this.queueVoiceInput(text, metadata, target);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Stream with retry logic. Retries only happen before the first event arrives;
+     * offline commands are queued like sendWithRetry() does (without audio).
+     */
+    async *streamWithRetry(text, metadata = {}, endpoint = null, audio = null) {
+        const target = this._resolveEndpoint(endpoint);
+
+        if (target.url && !navigator.onLine) {
+            yield { type: 'done', response: await this.queueVoiceInput(text, metadata, target) };
+            return;
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            let started = false;
+
+            try {
+                for await (const event of this.streamVoiceInput(text, metadata, target, audio)) {
+                    started = true;
+                    yield event;
+                }
+                return;
+            } catch (error) {
+                if (started) throw error;
+
+                if (attempt >= this.retryAttempts) {
+                    if (target.url && this.isOfflineError()) {
+                        yield { type: 'done', response: await this.queueVoiceInput(text, metadata, target) };
+                        return;
+                    }
+                    throw error;
+                }
+
+                const delay = this.retryDelay * Math.pow(2, attempt - 1);
+                Utils.log(`Attempt ${attempt} failed, retrying in ${delay}ms: ${error.message}`, 'warn');
+                await Utils.wait(delay);
+            }
+        }
+    }
+
+    /**
+     * Check if a request failed because there is no connection
+     */
+    isOfflineError() {
+        // fetch() also rejects with a TypeError for CORS, DNS and URL mistakes; those go back
+        // to the caller, since a queued command is only replayed when the browser comes online
+        return !navigator.onLine;
+    }
+
+    /**
+     * Save a command for delivery once the connection is back
+     */
+    async queueVoiceInput(text, metadata = {}, endpoint = null) {
+        const target = this._resolveEndpoint(endpoint);
+        const payload = this._buildPayload(text, { ...metadata, endpoint: target.id });
+        const record = await window.commandQueue.add({
+            url: target.url,
+            headers: this._getHeaders(),
+            endpointId: target.id,
+            body: payload,
+            text: payload.text
+        });
+
+        Utils.log(`Device offline, queued command ${record.id}: ${payload.text.substring(0, 100)}`, 'warn');
+        this.requestBackgroundSync(record);
+        this.onQueueChange?.();
+
+        return {
+            text: "You're offline. I'll send this as soon as the connection is back.",
+            raw: null,
+            queued: true,
+            queueId: record.id,
+            endpoint: { id: target.id, name: target.name },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Ask the service worker to replay queued commands via background sync
+     */
+    requestBackgroundSync(record) {
+        const controller = navigator.serviceWorker?.controller;
+        if (!controller) {
+            Utils.log('No active service worker, queued command will be sent when the app is back online', 'debug');
+            return;
+        }
+
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (event) => {
+            Utils.log(`Background sync ${event.data?.data?.success ? 'registered' : 'unavailable'} for ${record.id}`, 'debug');
+        };
+        controller.postMessage({ type: 'CACHE_COMMAND', data: record }, [channel.port2]);
+    }
+
+    /**
+     * Send queued commands from the page (browsers without background sync, or app reopened)
+     */
+    async flushQueue() {
+        if (this.isFlushingQueue || !navigator.onLine) return;
+        this.isFlushingQueue = true;
+
+        try {
+            const pending = await window.commandQueue.getPending();
+            if (pending.length) {
+                Utils.log(`Replaying ${pending.length} queued commands`);
+            }
+
+            for (const command of pending) {
+                const claimed = await window.commandQueue.claim(command.id);
+                if (!claimed) continue;
+
+                try {
+                    const result = await window.commandQueue.send(claimed);
+                    await window.commandQueue.complete(claimed.id, result);
+                    Utils.log(`Queued command ${claimed.id} sent`);
+                } catch (error) {
+                    const updated = await window.commandQueue.fail(claimed.id, error, error.retryable !== false);
+                    Utils.log(`Queued command ${claimed.id} failed (${updated?.status}): ${Utils.getErrorMessage(error)}`, 'warn');
+                }
+            }
+        } catch (error) {
+            Utils.log(`Failed to replay queued commands: ${Utils.getErrorMessage(error)}`, 'error');
+        }
+
+        this.isFlushingQueue = false;
+        await this.deliverQueuedResults();
+    }
+
+    /**
+     * Hand results of replayed commands to the app, then drop them from the queue
+     */
+    async deliverQueuedResults() {
+        try {
+            const finished = await window.commandQueue.getFinished();
+
+            for (const command of finished) {
+                if (this.deliveredCommands.has(command.id)) continue;
+                this.deliveredCommands.add(command.id);
+
+                let response = null;
+                if (command.status === 'done') {
+                    try {
+                        response = this._formatStoredResult(command.result);
+                    } catch (error) {
+                        command.status = 'failed';
+                        command.error = Utils.getErrorMessage(error);
+                    }
+                }
+
+                Utils.log(`Delivering result of queued command ${command.id} (${command.status})`);
+                this.onQueuedResult?.(command, response);
+                await window.commandQueue.remove(command.id);
+            }
+        } catch (error) {
+            Utils.log(`Failed to deliver queued results: ${Utils.getErrorMessage(error)}`, 'error');
+        }
+
+        this.onQueueChange?.();
+    }
+
+    /**
+     * Get commands still waiting to be sent
      */
-    async sendWithRetry(text, metadata = {}) {
-        return await Utils.retry(
-            () => this.sendVoiceInput(text, metadata),
-            this.retryAttempts,
-            this.retryDelay
-        );
+    async getQueuedCommands() {
+        try {
+            const commands = await window.commandQueue.getAll();
+            return commands.filter(command => command.status === 'pending' || command.status === 'sending');
+        } catch {
+            return [];
+        }
     }
 
     /**
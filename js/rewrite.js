@@ -0,0 +1,180 @@
+/**
+ * Transcript Rewriter
+ * Fixes up final transcripts before they are sent: user-defined replacements and regex
+ * substitutions (for names and jargon the recogniser gets wrong), spelled-out email
+ * addresses and spoken punctuation
+ */
+
+class TranscriptRewriter {
+    constructor() {
+        // Longer phrases first so "new paragraph" wins over "new line"-style overlaps
+        this.punctuation = [
+            ['new paragraph', '\n\n'],
+            ['new line', '\n'],
+            ['question mark', '?'],
+            ['exclamation mark', '!'],
+            ['exclamation point', '!'],
+            ['full stop', '.'],
+            ['period', '.'],
+            ['semicolon', ';'],
+            ['colon', ':'],
+            ['comma', ',']
+        ];
+
+        this.emailWords = {
+            dot: '.',
+            underscore: '_',
+            dash: '-',
+            hyphen: '-'
+        };
+    }
+
+    /**
+     * Apply the configured rules to a transcript
+     */
+    apply(text, options = {}) {
+        const rules = options.rules ?? window.configManager.get('rewriteRules') ?? [];
+        const spokenEmails = options.spokenEmails ?? window.configManager.get('spokenEmails') !== false;
+        const spokenPunctuation = options.spokenPunctuation ?? window.configManager.get('spokenPunctuation') === true;
+
+        let result = text;
+
+        // User rules run first so they can fix names before emails are assembled
+        for (const rule of rules) {
+            result = this.applyRule(rule, result);
+        }
+
+        if (spokenEmails) {
+            result = this.joinEmails(result);
+        }
+
+        if (spokenPunctuation) {
+            result = this.insertPunctuation(result);
+        }
+
+        result = result
+            .replace(/[ \t]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .trim();
+
+        if (result !== text) {
+            Utils.log(`Transcript rewritten: "${text}" → "${result}"`, 'debug');
+        }
+
+        return result || text;
+    }
+
+    /**
+     * Apply one rule
+     */
+    applyRule(rule, text) {
+        switch (rule.type) {
+            case 'replace': {
+                const from = rule.from?.trim();
+                if (!from) return text;
+
+                // Whole words only, so "ann" does not change "announce" (in any script)
+                const source = this.escapeRegex(from).replace(/\s+/g, '\\s+');
+                const pattern = new RegExp(Utils.wholeWordPattern(from, source), 'giu');
+                return text.replace(pattern, () => rule.to);
+            }
+            case 'regex': {
+                try {
+                    return text.replace(new RegExp(rule.pattern, rule.flags ?? 'gi'), rule.to);
+                } catch (error) {
+                    Utils.log(`Ignoring invalid rewrite regex "${rule.pattern}": ${error.message}`, 'warn');
+                    return text;
+                }
+            }
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Turn "john dot smith at example dot com" into "john.smith@example.com"
+     */
+    joinEmails(text) {
+        const joiner = '(?:dot|underscore|dash|hyphen)';
+        const pattern = new RegExp(
+            `\\b([a-z0-9]+(?:\\s+${joiner}\\s+[a-z0-9]+)*)\\s+at\\s+([a-z0-9-]+(?:\\s+dot\\s+[a-z0-9-]+)*\\s+dot\\s+[a-z]{2,})\\b`,
+            'gi'
+        );
+
+        return text.replace(pattern, (match, local, domain) => {
+            const join = part => part
+                .split(/\s+/)
+                .map(word => this.emailWords[word.toLowerCase()] ?? word)
+                .join('')
+                .toLowerCase();
+            return `${join(local)}@${join(domain)}`;
+        });
+    }
+
+    /**
+     * Replace spoken punctuation ("comma", "new line") with the symbols
+     */
+    insertPunctuation(text) {
+        let result = text;
+
+        for (const [words, symbol] of this.punctuation) {
+            const pattern = new RegExp(`\\s*\\b${words.replace(' ', '\\s+')}\\b`, 'gi');
+            result = result.replace(pattern, symbol);
+        }
+
+        // Capitalise the start of each new sentence or line
+        return result.replace(/([.?!]\s+|\n)([a-z])/g, (match, boundary, letter) => boundary + letter.toUpperCase());
+    }
+
+    /**
+     * Parse rules written one per line as "<from> => <to>" or "/<regex>/<flags> => <to>"
+     */
+    parseRules(text) {
+        const rules = [];
+
+        text.split('\n').forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed) return;
+
+            const regex = trimmed.match(/^\/(.+)\/([gimsuy]*)\s*=>\s?(.*)$/);
+            if (regex) {
+                const flags = regex[2] || 'gi';
+                try {
+                    new RegExp(regex[1], flags);
+                } catch (error) {
+                    throw new Error(`Line ${index + 1}: invalid regex (${error.message})`);
+                }
+                rules.push({ type: 'regex', pattern: regex[1], flags, to: regex[3].trim() });
+                return;
+            }
+
+            const replace = trimmed.match(/^(.+?)\s*=>\s?(.*)$/);
+            if (!replace) {
+                throw new Error(`Line ${index + 1}: use "words => replacement" or "/regex/ => replacement"`);
+            }
+            rules.push({ type: 'replace', from: replace[1].trim(), to: replace[2].trim() });
+        });
+
+        return rules;
+    }
+
+    /**
+     * Format rules for editing, one per line
+     */
+    formatRules(rules = []) {
+        return rules.map(rule => rule.type === 'regex'
+            ? `/${rule.pattern}/${rule.flags === 'gi' ? '' : rule.flags} => ${rule.to}`
+            : `${rule.from} => ${rule.to}`
+        ).join('\n');
+    }
+
+    /**
+     * Escape text for use inside a regular expression
+     */
+    escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Create global instance
+window.transcriptRewriter = new TranscriptRewriter();
@@ -0,0 +1,161 @@
+/**
+ * Endpoint Router
+ * Chooses which n8n webhook handles an utterance using keyword, regex and prefix rules.
+ * Utterances that match no rule go to the default webhook (the n8n Webhook URL setting).
+ */
+
+class EndpointRouter {
+    constructor() {
+        this.defaultId = 'default';
+        this.ruleTypes = ['prefix', 'keyword', 'regex'];
+    }
+
+    /**
+     * Get the default endpoint
+     */
+    getDefaultEndpoint() {
+        return {
+            id: this.defaultId,
+            name: 'Default',
+            url: (window.configManager.get('n8nUrl') || '').replace(/\/$/, ''),
+            rules: [],
+            sendAudio: !!window.configManager.get('sendAudio')
+        };
+    }
+
+    /**
+     * Get all endpoints, default first
+     */
+    getEndpoints() {
+        const named = (window.configManager.get('endpoints') || []).map(endpoint => ({
+            ...endpoint,
+            url: (endpoint.url || '').replace(/\/$/, '')
+        }));
+        return [this.getDefaultEndpoint(), ...named];
+    }
+
+    /**
+     * Check if any named endpoints are configured
+     */
+    hasNamedEndpoints() {
+        return this.getEndpoints().length > 1;
+    }
+
+    /**
+     * Check if any endpoint wants the recorded audio of utterances
+     */
+    wantsAudio() {
+        return this.getEndpoints().some(endpoint => endpoint.url && endpoint.sendAudio);
+    }
+
+    /**
+     * Get an endpoint by id
+     */
+    getEndpoint(id) {
+        return this.getEndpoints().find(endpoint => endpoint.id === id) || null;
+    }
+
+    /**
+     * Choose the endpoint for an utterance.
+     * Rules are checked in endpoint order; prefix rules also strip the prefix from the text.
+     */
+    route(text) {
+        for (const endpoint of this.getEndpoints().slice(1)) {
+            if (!endpoint.url) continue;
+
+            for (const rule of endpoint.rules || []) {
+                const match = this.matchRule(rule, text);
+                if (match) {
+                    Utils.log(`Routed to "${endpoint.name}" by ${rule.type} rule "${rule.pattern}"`);
+                    return { endpoint, text: match.text, rule };
+                }
+            }
+        }
+
+        return { endpoint: this.getDefaultEndpoint(), text, rule: null };
+    }
+
+    /**
+     * Check one rule against an utterance
+     */
+    matchRule(rule, text) {
+        const pattern = rule.pattern?.trim();
+        if (!pattern) return null;
+
+        switch (rule.type) {
+            case 'prefix': {
+                // "note" matches "note: buy milk", "Note, buy milk" and "note buy milk"
+                const base = pattern.replace(/[:,\s]+$/, '');
+                const prefix = new RegExp(`^\\s*${this.escapeRegex(base)}(?:[:,]\\s*|\\s+|$)`, 'i');
+                const match = text.match(prefix);
+                if (!match) return null;
+
+                const rest = text.slice(match[0].length).trim();
+                return { text: rest || text };
+            }
+            case 'keyword': {
+                const keywords = pattern.split(',').map(keyword => keyword.trim()).filter(Boolean);
+                const found = keywords.some(keyword =>
+                    new RegExp(Utils.wholeWordPattern(keyword, this.escapeRegex(keyword)), 'iu').test(text));
+                return found ? { text } : null;
+            }
+            case 'regex': {
+                try {
+                    return new RegExp(pattern, 'i').test(text) ? { text } : null;
+                } catch (error) {
+                    Utils.log(`Ignoring invalid routing regex "${pattern}": ${error.message}`, 'warn');
+                    return null;
+                }
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Parse rules written one per line as "<type>: <pattern>"
+     */
+    parseRules(text) {
+        const rules = [];
+
+        text.split('\n').forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed) return;
+
+            const match = trimmed.match(/^(\w+)\s*:\s*(.+)$/);
+            const type = match?.[1].toLowerCase();
+            if (!match || !this.ruleTypes.includes(type)) {
+                throw new Error(`Line ${index + 1}: use "prefix:", "keyword:" or "regex:" followed by a pattern`);
+            }
+
+            if (type === 'regex') {
+                try {
+                    new RegExp(match[2]);
+                } catch (error) {
+                    throw new Error(`Line ${index + 1}: invalid regex (${error.message})`);
+                }
+            }
+
+            rules.push({ type, pattern: match[2].trim() });
+        });
+
+        return rules;
+    }
+
+    /**
+     * Format rules for editing, one per line
+     */
+    formatRules(rules = []) {
+        return rules.map(rule => `${rule.type}: ${rule.pattern}`).join('\n');
+    }
+
+    /**
+     * Escape text for use inside a regular expression
+     */
+    escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Create global instance
+window.endpointRouter = new EndpointRouter();
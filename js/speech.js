@@ -0,0 +1,335 @@
+/**
+ * Speech Output System
+ * Reads assistant replies aloud with the Web Speech Synthesis API
+ */
+
+class SpeechOutput {
+    constructor() {
+        this.synth = window.speechSynthesis || null;
+        this.voices = [];
+        this.voice = null; // Voice for the current language
+        this.isSpeaking = false;
+        this.isPaused = false;
+
+        // iOS only plays synthesis that was first started inside a user gesture
+        this.isUnlocked = !Utils.isIOS();
+
+        // Long utterances are cut off by iOS Safari and Chrome, so speak in chunks
+        this.maxChunkLength = 200;
+        this.chunks = [];
+        this.currentUtterance = null;
+        this.watchdogTimeout = null;
+        this.finishSpeaking = null;
+
+        // Event handlers
+        this.onStart = null;
+        this.onEnd = null;
+        this.onError = null;
+
+        if (this.synth) {
+            this.loadVoices();
+            this.setupGestureUnlock();
+        } else {
+            Utils.log('Speech synthesis not supported in this browser', 'warn');
+        }
+    }
+
+    /**
+     * Load available voices (Chrome populates them asynchronously)
+     */
+    loadVoices() {
+        const updateVoices = () => {
+            this.voices = this.synth.getVoices();
+            if (!this.voices.length) return;
+
+            this.voice = this.selectVoice(this.getLanguage());
+            Utils.log(`Speech voice selected: ${this.voice.name} (${this.voice.lang})`);
+        };
+
+        updateVoices();
+        this.synth.addEventListener?.('voiceschanged', updateVoices);
+    }
+
+    /**
+     * Get the language replies are spoken in
+     */
+    getLanguage() {
+        return window.languageManager?.getLanguage() || navigator.language || 'en-US';
+    }
+
+    /**
+     * Pick the best voice for a language: same locale, then same language, then the default
+     */
+    selectVoice(lang) {
+        const code = lang.toLowerCase().replace('_', '-');
+        const base = code.split('-')[0];
+        const voiceLang = voice => voice.lang.toLowerCase().replace('_', '-');
+
+        return this.voices.find(voice => voiceLang(voice) === code && voice.localService) ||
+               this.voices.find(voice => voiceLang(voice) === code) ||
+               this.voices.find(voice => voiceLang(voice).split('-')[0] === base && voice.localService) ||
+               this.voices.find(voice => voiceLang(voice).split('-')[0] === base) ||
+               this.voices.find(voice => voice.default) ||
+               this.voices[0] ||
+               null;
+    }
+
+    /**
+     * Switch to the voice of a new language
+     */
+    setLanguage(lang) {
+        if (!this.voices.length) return;
+
+        this.voice = this.selectVoice(lang);
+        Utils.log(`Speech voice for ${lang}: ${this.voice ? `${this.voice.name} (${this.voice.lang})` : 'none'}`);
+    }
+
+    /**
+     * Unlock speech synthesis on the first user gesture (required on iOS)
+     */
+    setupGestureUnlock() {
+        if (this.isUnlocked) return;
+
+        const unlock = () => {
+            if (this.isUnlocked) return;
+
+            const utterance = new SpeechSynthesisUtterance(' ');
+            utterance.volume = 0;
+            this.synth.speak(utterance);
+            this.isUnlocked = true;
+            Utils.log('Speech synthesis unlocked by user gesture');
+
+            document.removeEventListener('touchend', unlock);
+            document.removeEventListener('click', unlock);
+        };
+
+        document.addEventListener('touchend', unlock);
+        document.addEventListener('click', unlock);
+    }
+
+    /**
+     * Check if replies should be read aloud
+     */
+    isEnabled() {
+        return !!this.synth && window.configManager?.get('speakResponses') !== false;
+    }
+
+    /**
+     * Speak text, resolving once it has finished or been stopped
+     */
+    speak(text, options = {}) {
+        if (!this.synth) return Promise.resolve(false);
+
+        const cleanText = Utils.sanitizeForSpeech(text || '');
+        if (!cleanText) return Promise.resolve(false);
+
+        this.stop();
+
+        if (!this.isUnlocked) {
+            Utils.log('Speech synthesis not yet unlocked by a user gesture, attempting anyway', 'warn');
+        }
+
+        this.chunks = this.splitIntoChunks(cleanText);
+        this.isSpeaking = true;
+        this.isPaused = false;
+
+        Utils.log(`Speaking response (${this.chunks.length} chunk${this.chunks.length === 1 ? '' : 's'})`);
+        this.onStart?.();
+
+        return new Promise((resolve) => {
+            this.finishSpeaking = (completed) => {
+                this.finishSpeaking = null;
+                resolve(completed);
+            };
+            this.speakNextChunk(options);
+        });
+    }
+
+    /**
+     * Speak the next queued chunk
+     */
+    speakNextChunk(options) {
+        this.clearWatchdog();
+
+        const chunk = this.chunks.shift();
+        if (!chunk) {
+            this.handleSpeechEnd(true);
+            return;
+        }
+
+        const utterance = new SpeechSynthesisUtterance(chunk);
+        utterance.rate = options.rate ?? window.configManager?.get('voiceSpeed') ?? 1.0;
+        utterance.pitch = options.pitch ?? window.configManager?.get('voicePitch') ?? 1.0;
+        const voice = options.lang ? this.selectVoice(options.lang) : this.voice;
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        } else {
+            utterance.lang = options.lang || this.getLanguage();
+        }
+
+        utterance.onend = () => {
+            if (this.currentUtterance !== utterance) return;
+            this.speakNextChunk(options);
+        };
+
+        utterance.onerror = (event) => {
+            if (this.currentUtterance !== utterance) return;
+
+            // Cancellation is reported as an error by most engines
+            if (event.error === 'interrupted' || event.error === 'canceled') return;
+
+            Utils.log(`Speech synthesis error: ${event.error}`, 'error');
+            this.onError?.(event.error);
+            this.handleSpeechEnd(false);
+        };
+
+        this.currentUtterance = utterance;
+        this.synth.speak(utterance);
+        this.startWatchdog(chunk, utterance.rate, options);
+    }
+
+    /**
+     * Guard against engines that never fire onend (e.g. blocked on iOS)
+     */
+    startWatchdog(chunk, rate, options) {
+        const estimatedMs = (chunk.split(/\s+/).length / (2.5 * rate)) * 1000;
+
+        this.watchdogTimeout = setTimeout(() => {
+            if (this.isPaused) {
+                this.startWatchdog(chunk, rate, options);
+                return;
+            }
+            Utils.log('Speech synthesis did not report completion, moving on', 'warn');
+            this.speakNextChunk(options);
+        }, estimatedMs + 5000);
+    }
+
+    /**
+     * Clear watchdog timer
+     */
+    clearWatchdog() {
+        if (this.watchdogTimeout) {
+            clearTimeout(this.watchdogTimeout);
+            this.watchdogTimeout = null;
+        }
+    }
+
+    /**
+     * Split text into sentence-sized chunks
+     */
+    splitIntoChunks(text) {
+        const sentences = text.match(/[^.!?]+[.!?]*/g) || [text];
+        const chunks = [];
+        let current = '';
+
+        for (const sentence of sentences) {
+            const trimmed = sentence.trim();
+            if (!trimmed) continue;
+
+            if ((current + ' ' + trimmed).trim().length <= this.maxChunkLength) {
+                current = (current + ' ' + trimmed).trim();
+                continue;
+            }
+
+            if (current) chunks.push(current);
+
+            // Break overly long sentences on word boundaries
+            if (trimmed.length > this.maxChunkLength) {
+                let remaining = trimmed;
+                while (remaining.length > this.maxChunkLength) {
+                    const cut = remaining.lastIndexOf(' ', this.maxChunkLength);
+                    const index = cut > 0 ? cut : this.maxChunkLength;
+                    chunks.push(remaining.slice(0, index).trim());
+                    remaining = remaining.slice(index).trim();
+                }
+                current = remaining;
+            } else {
+                current = trimmed;
+            }
+        }
+
+        if (current) chunks.push(current);
+        return chunks;
+    }
+
+    /**
+     * Finish the current speech session
+     */
+    handleSpeechEnd(completed) {
+        this.clearWatchdog();
+
+        if (!this.isSpeaking) return;
+
+        this.isSpeaking = false;
+        this.isPaused = false;
+        this.currentUtterance = null;
+        this.chunks = [];
+
+        Utils.log(completed ? 'Finished speaking response' : 'Speaking stopped');
+        this.onEnd?.(completed);
+        this.finishSpeaking?.(completed);
+    }
+
+    /**
+     * Stop speaking immediately
+     */
+    stop() {
+        if (!this.synth) return;
+
+        const wasSpeaking = this.isSpeaking;
+        this.chunks = [];
+        this.currentUtterance = null;
+        this.synth.cancel();
+
+        if (wasSpeaking) {
+            this.handleSpeechEnd(false);
+        }
+    }
+
+    /**
+     * Pause speaking
+     */
+    pause() {
+        if (!this.synth || !this.isSpeaking || this.isPaused) return;
+
+        this.synth.pause();
+        this.isPaused = true;
+        Utils.log('Speaking paused');
+    }
+
+    /**
+     * Resume paused speech
+     */
+    resume() {
+        if (!this.synth || !this.isPaused) return;
+
+        this.synth.resume();
+        this.isPaused = false;
+        Utils.log('Speaking resumed');
+    }
+
+    /**
+     * Check if speech synthesis is supported
+     */
+    isSupported() {
+        return !!this.synth;
+    }
+
+    /**
+     * Get current status
+     */
+    getStatus() {
+        return {
+            isSupported: this.isSupported(),
+            isEnabled: this.isEnabled(),
+            isSpeaking: this.isSpeaking,
+            isPaused: this.isPaused,
+            isUnlocked: this.isUnlocked,
+            voice: this.voice?.name || null
+        };
+    }
+}
+
+// Create global instance
+window.speechOutput = new SpeechOutput();
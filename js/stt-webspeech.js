@@ -0,0 +1,166 @@
+/**
+ * Web Speech Recognition Engine
+ * Speech-to-text with the browser's SpeechRecognition API. Audio is processed by the
+ * browser vendor (on-device on some platforms, in the vendor's cloud on others).
+ */
+
+class WebSpeechEngine {
+    constructor() {
+        this.name = 'webspeech';
+        this.recognition = null;
+        this.maxAlternatives = 5; // Offered in the review step
+
+        // Event handlers (see VoiceProcessor.createEngine)
+        this.onStart = null;
+        this.onSpeech = null;
+        this.onFinal = null;
+        this.onError = null;
+        this.onEnd = null;
+    }
+
+    /**
+     * Check if the browser provides speech recognition
+     */
+    isSupported() {
+        return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+    }
+
+    /**
+     * Create and configure the recognizer
+     */
+    initialize(lang) {
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+
+        if (!SpeechRecognition) {
+            Utils.log('Speech recognition not supported in this browser', 'error');
+            return false;
+        }
+
+        this.recognition = new SpeechRecognition();
+        this.recognition.continuous = true;
+        this.recognition.interimResults = true;
+        this.recognition.maxAlternatives = this.maxAlternatives;
+        this.recognition.lang = lang;
+        this.setupEvents();
+
+        Utils.log('Web Speech recognition initialized');
+        return true;
+    }
+
+    /**
+     * Pass recognizer events on in engine form
+     */
+    setupEvents() {
+        this.recognition.onstart = () => {
+            this.onStart?.();
+        };
+
+        this.recognition.onresult = (event) => {
+            let interimTranscript = '';
+            let finalTranscript = '';
+            const finalResults = [];
+
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const transcript = event.results[i][0].transcript;
+
+                if (event.results[i].isFinal) {
+                    finalTranscript += transcript;
+                    finalResults.push(event.results[i]);
+                } else {
+                    interimTranscript += transcript;
+                }
+            }
+
+            if (finalTranscript.trim()) {
+                const cleanText = finalTranscript.trim();
+                this.onFinal?.(cleanText, this.getAlternatives(finalResults, cleanText));
+            } else if (interimTranscript.trim()) {
+                this.onSpeech?.(interimTranscript.trim());
+            }
+        };
+
+        this.recognition.onerror = (event) => {
+            this.onError?.(event.error);
+        };
+
+        this.recognition.onend = () => {
+            this.onEnd?.();
+        };
+    }
+
+    /**
+     * Collect the N-best alternatives of a final result
+     */
+    getAlternatives(results, text) {
+        // Alternatives only line up when the utterance came back as a single result
+        if (results.length !== 1) {
+            const confidences = results.map(result => result[0].confidence || 0);
+            return [{ transcript: text, confidence: confidences.length ? Math.min(...confidences) : 0 }];
+        }
+
+        const alternatives = [];
+        for (let i = 0; i < results[0].length; i++) {
+            const transcript = results[0][i].transcript.trim();
+            if (transcript && !alternatives.some(alternative => alternative.transcript === transcript)) {
+                alternatives.push({ transcript, confidence: results[0][i].confidence || 0 });
+            }
+        }
+        return alternatives;
+    }
+
+    /**
+     * Start recognizing (continuous, so holds through pauses until stopped)
+     */
+    async start() {
+        if (!this.recognition) {
+            throw new Error('Speech recognition not supported in this browser');
+        }
+        this.recognition.start();
+    }
+
+    /**
+     * Stop and deliver what was heard so far
+     */
+    stop() {
+        this.recognition?.stop();
+    }
+
+    /**
+     * Stop without delivering a result
+     */
+    abort() {
+        this.recognition?.abort();
+    }
+
+    /**
+     * Change the recognition language (applies from the next session)
+     */
+    setLanguage(lang) {
+        if (this.recognition) {
+            this.recognition.lang = lang;
+        }
+    }
+
+    /**
+     * Replace the recognizer with a new one (for when it stops responding)
+     */
+    reset() {
+        const lang = this.recognition?.lang || window.languageManager.getLanguage();
+        this.destroy();
+        return this.initialize(lang);
+    }
+
+    /**
+     * Release the recognizer
+     */
+    destroy() {
+        if (!this.recognition) return;
+
+        this.recognition.onstart = null;
+        this.recognition.onresult = null;
+        this.recognition.onerror = null;
+        this.recognition.onend = null;
+        this.recognition.abort();
+        this.recognition = null;
+    }
+}
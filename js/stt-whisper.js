@@ -0,0 +1,295 @@
+/**
+ * Whisper Recognition Engine
+ * Records with MediaRecorder, stops when the speaker goes quiet, and sends the recording
+ * to a Whisper/OpenAI-compatible transcription endpoint (POST multipart "file" + "model",
+ * answering { "text": ... }), such as a self-hosted whisper server on the local network.
+ */
+
+class WhisperEngine {
+    constructor() {
+        this.name = 'whisper';
+        this.detectsSilence = true; // Ends recordings itself instead of relying on interim results
+        this.providesAudio = true; // Passes its recording with the transcript
+        this.credentialId = 'stt'; // API key slot in WebhookAuth
+        this.lang = 'en-US';
+
+        this.stream = null;
+        this.recorder = null;
+        this.chunks = [];
+        this.discard = false;
+        this.abortController = null;
+        this.requestTimeout = 30000;
+
+        // Silence detection
+        this.audioContext = null;
+        this.vad = null;
+        this.timeoutInterval = null;
+        this.silenceDuration = 1500; // Stop after this much quiet following speech
+        this.noSpeechTimeout = 8000; // Give up when nothing is said
+        this.maxDuration = 30000; // Longest recording sent for transcription
+        this.startedAt = 0;
+        this.heardSpeech = false;
+        this.untilStopped = false; // Push-to-talk: ignore silence and record until stop()
+
+        // Event handlers (see VoiceProcessor.createEngine)
+        this.onStart = null;
+        this.onSpeech = null;
+        this.onTranscribing = null;
+        this.onFinal = null;
+        this.onError = null;
+        this.onEnd = null;
+    }
+
+    /**
+     * Check if the browser can record audio
+     */
+    isSupported() {
+        return !!(window.MediaRecorder && navigator.mediaDevices?.getUserMedia);
+    }
+
+    /**
+     * Prepare the engine
+     */
+    initialize(lang) {
+        this.lang = lang;
+
+        if (!this.isSupported()) {
+            Utils.log('Audio recording not supported in this browser', 'error');
+            return false;
+        }
+
+        Utils.log('Whisper recognition initialized');
+        return true;
+    }
+
+    /**
+     * Start recording an utterance
+     */
+    async start(options = {}) {
+        if (this.recorder) return;
+
+        if (!window.configManager.get('whisperUrl')) {
+            throw new Error('Set the transcription server URL in settings');
+        }
+
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: true, noiseSuppression: true }
+        });
+
+        const mimeType = Utils.getAudioMimeType(window.configManager.get('audioFormat'));
+        this.recorder = new MediaRecorder(this.stream, mimeType ? { mimeType } : undefined);
+        this.chunks = [];
+        this.discard = false;
+        this.untilStopped = !!options.untilStopped;
+
+        this.recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        };
+        this.recorder.onstop = () => this.finish();
+
+        this.startSilenceDetection();
+        this.recorder.start(250);
+        this.onStart?.();
+    }
+
+    /**
+     * Watch the input level to tell when the speaker has finished
+     */
+    startSilenceDetection() {
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 2048;
+        this.audioContext.createMediaStreamSource(this.stream).connect(analyser);
+
+        this.vad = new VoiceActivityDetector(analyser, { endSilence: this.silenceDuration });
+        this.vad.onSpeechStart = () => this.onSpeech?.();
+        this.vad.onUtteranceEnd = () => {
+            if (this.untilStopped) return;
+            Utils.log('Silence after speech, stopping recording');
+            this.stop();
+        };
+        this.vad.start();
+
+        this.startedAt = Date.now();
+        this.heardSpeech = false;
+        this.timeoutInterval = setInterval(() => this.checkTimeouts(), 250);
+    }
+
+    /**
+     * Stop recordings with no speech, or that run too long
+     */
+    checkTimeouts() {
+        const elapsed = Date.now() - this.startedAt;
+
+        if (!this.untilStopped && !this.vad?.hasSpeech() && elapsed > this.noSpeechTimeout) {
+            Utils.log('No speech heard, discarding recording');
+            this.discard = true;
+            this.onError?.('no-speech');
+            this.stop();
+        } else if (elapsed > this.maxDuration) {
+            Utils.log('Maximum recording length reached');
+            this.stop();
+        }
+    }
+
+    /**
+     * Stop the level checks
+     */
+    stopSilenceDetection() {
+        if (this.timeoutInterval) {
+            clearInterval(this.timeoutInterval);
+            this.timeoutInterval = null;
+        }
+
+        this.vad?.stop();
+        this.vad = null;
+        this.audioContext?.close();
+        this.audioContext = null;
+    }
+
+    /**
+     * Stop recording and transcribe what was recorded
+     */
+    stop() {
+        if (!this.recorder || this.recorder.state === 'inactive') return;
+
+        // Bursts too short to be speech (a cough, a bump) are not worth transcribing
+        this.heardSpeech = !!this.vad?.hasSpeech();
+        this.stopSilenceDetection();
+        this.recorder.stop();
+    }
+
+    /**
+     * Stop recording or transcribing without delivering a result
+     */
+    abort() {
+        this.discard = true;
+        this.abortController?.abort();
+        this.stop();
+    }
+
+    /**
+     * Transcribe the finished recording
+     */
+    async finish() {
+        const blob = new Blob(this.chunks, { type: this.recorder.mimeType || 'audio/webm' });
+        const duration = Date.now() - this.startedAt;
+        const heardSpeech = this.heardSpeech && !this.discard;
+
+        this.stream?.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.recorder = null;
+        this.chunks = [];
+
+        if (!heardSpeech || blob.size === 0) {
+            this.onEnd?.();
+            return;
+        }
+
+        try {
+            this.onTranscribing?.();
+            const text = (await this.transcribe(blob)).trim();
+            if (text) {
+                this.onFinal?.(text, [{ transcript: text, confidence: 0 }], { blob, mimeType: blob.type, duration });
+            }
+        } catch (error) {
+            if (!this.discard) {
+                const reason = error.name === 'AbortError' ? 'the server did not answer in time' : Utils.getErrorMessage(error);
+                this.onError?.('transcription', `Transcription failed: ${reason}`);
+            }
+        } finally {
+            this.abortController = null;
+            this.onEnd?.();
+        }
+    }
+
+    /**
+     * Send a recording to the transcription endpoint
+     */
+    async transcribe(blob) {
+        const form = new FormData();
+        form.append('file', blob, `speech.${Utils.getAudioExtension(blob.type)}`);
+        form.append('model', window.configManager.get('whisperModel') || 'whisper-1');
+        form.append('language', this.lang.split('-')[0]);
+        form.append('response_format', 'json');
+
+        // The API key is kept encrypted with the webhook credentials
+        const headers = await window.webhookAuth.getHeaders(this.credentialId);
+
+        this.abortController = new AbortController();
+        const timeout = setTimeout(() => this.abortController?.abort(), this.requestTimeout);
+
+        try {
+            Utils.log(`Transcribing ${Math.round(blob.size / 1024)} KB of audio`);
+            const response = await fetch(window.configManager.get('whisperUrl'), {
+                method: 'POST',
+                headers,
+                body: form,
+                signal: this.abortController.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const contentType = response.headers.get('content-type') || '';
+            const data = contentType.includes('application/json')
+                ? await response.json()
+                : { text: await response.text() };
+            return data.text || '';
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Change the transcription language
+     */
+    setLanguage(lang) {
+        this.lang = lang;
+    }
+
+    /**
+     * Drop the recording and transcription in progress and start afresh
+     */
+    reset() {
+        this.discard = true;
+        this.abortController?.abort();
+
+        if (this.recorder) {
+            this.recorder.onstop = null;
+            if (this.recorder.state !== 'inactive') {
+                this.stopSilenceDetection();
+                this.recorder.stop();
+            }
+        }
+        this.stream?.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.recorder = null;
+        this.chunks = [];
+
+        Utils.log('Whisper recorder reset');
+        return true;
+    }
+
+    /**
+     * Stop recording and drop any transcription in progress
+     */
+    destroy() {
+        this.discard = true;
+        this.abortController?.abort();
+        this.onStart = null;
+        this.onSpeech = null;
+        this.onTranscribing = null;
+        this.onFinal = null;
+        this.onError = null;
+        this.onEnd = null;
+
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.stopSilenceDetection();
+            this.recorder.stop();
+        }
+    }
+}
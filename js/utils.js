@@ -180,6 +180,23 @@ class Utils {
         }
     }
 
+    /**
+     * Download text content as a file
+     */
+    static downloadFile(content, filename, mimeType = 'text/plain') {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     /**
      * Animate element
      */
@@ -233,6 +250,43 @@ class Utils {
         }
     }
 
+    /**
+     * Pick a recording MIME type the browser supports, preferring a format ('webm', 'ogg' or 'mp4')
+     */
+    static getAudioMimeType(format = 'auto') {
+        const types = {
+            webm: ['audio/webm;codecs=opus', 'audio/webm'],
+            ogg: ['audio/ogg;codecs=opus'],
+            mp4: ['audio/mp4;codecs=mp4a.40.2', 'audio/mp4'] // The only format Safari records
+        };
+        const preferred = types[format] || [];
+        const candidates = [...preferred, ...types.webm, ...types.mp4, ...types.ogg];
+
+        if (!window.MediaRecorder?.isTypeSupported) return '';
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    /**
+     * Get a file extension for an audio MIME type
+     */
+    static getAudioExtension(mimeType = '') {
+        if (mimeType.includes('mp4')) return 'm4a';
+        if (mimeType.includes('ogg')) return 'ogg';
+        return 'webm';
+    }
+
+    /**
+     * Encode a Blob as base64 (without the data: URL prefix)
+     */
+    static blobToBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
     /**
      * Wait for specified time
      */
@@ -274,6 +328,30 @@ class Utils {
             .trim();
     }
 
+    /**
+     * Tidy text for display, keeping line breaks
+     */
+    static sanitizeForDisplay(text) {
+        return text
+            .replace(/\r\n?/g, '\n') // Normalize line endings
+            .replace(/[ \t]+/g, ' ') // Collapse spaces within lines
+            .replace(/ ?\n ?/g, '\n')
+            .replace(/\n{3,}/g, '\n\n') // At most one blank line
+            .trim();
+    }
+
+    /**
+     * Check if a URL is safe to link to or load (http/https only)
+     */
+    static isHttpUrl(string) {
+        try {
+            const url = new URL(string);
+            return url.protocol === 'https:' || url.protocol === 'http:';
+        } catch (_) {
+            return false;
+        }
+    }
+
     /**
      * Validate URL
      */
@@ -286,6 +364,22 @@ class Utils {
         }
     }
 
+    /**
+     * Wrap a regex source for the given text so it only matches whole words, in any script
+     * (use with the 'u' flag). Scripts written without spaces between words, such as Chinese,
+     * Japanese and Thai, have no word edges to check and match anywhere.
+     */
+    static wholeWordPattern(text, source) {
+        const wordChar = /[\p{L}\p{M}\p{N}_]/u;
+        const unspaced = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+        const chars = [...text];
+        const needsEdge = char => !!char && wordChar.test(char) && !unspaced.test(char);
+
+        const start = needsEdge(chars[0]) ? '(?<![\\p{L}\\p{M}\\p{N}_])' : '';
+        const end = needsEdge(chars[chars.length - 1]) ? '(?![\\p{L}\\p{M}\\p{N}_])' : '';
+        return `${start}${source}${end}`;
+    }
+
     /**
      * Get error message from various error types
      */
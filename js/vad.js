@@ -0,0 +1,162 @@
+/**
+ * Voice Activity Detector
+ * Energy-based speech detection on an AnalyserNode. Measures the ambient noise when it
+ * starts, decides speech/non-speech per frame with an onset and a hangover, and fires an
+ * event when an utterance is over. Bursts shorter than minSpeech (coughs, clicks, bumps)
+ * never count as an utterance.
+ */
+
+class VoiceActivityDetector {
+    constructor(analyser, options = {}) {
+        this.analyser = analyser;
+
+        this.frameDuration = 30; // ms between analysed frames
+        this.calibrationDuration = 300; // Ambient noise is measured for this long
+        this.speechMargin = 12; // dB above the noise floor that counts as speech
+        this.minSpeechLevel = -60; // dB; quieter frames are never speech
+        this.maxNoiseFloor = -40; // dB; stops speech during calibration from raising the floor too far
+        this.onsetFrames = 3; // Loud frames in a row before speech starts
+        this.hangover = 300; // ms of quiet before speech counts as paused
+        this.endSilence = 900; // ms of quiet after speech that ends the utterance
+        this.minSpeech = 250; // ms of speech an utterance needs
+        Object.assign(this, options);
+
+        this.samples = new Float32Array(analyser.fftSize);
+        this.frameInterval = null;
+        this.reset();
+
+        // Event handlers
+        this.onCalibrated = null;
+        this.onSpeechStart = null;
+        this.onSpeechEnd = null;
+        this.onUtteranceEnd = null;
+    }
+
+    /**
+     * Clear the detection state
+     */
+    reset() {
+        this.startedAt = 0;
+        this.calibrationLevels = [];
+        this.noiseFloor = null;
+        this.isSpeaking = false;
+        this.loudFrames = 0;
+        this.segmentStartedAt = 0;
+        this.lastLoudAt = 0;
+        this.speechDuration = 0; // Total speech in finished segments
+        this.utteranceEnded = false;
+    }
+
+    /**
+     * Start analysing, beginning with noise calibration
+     */
+    start() {
+        this.stop();
+        this.reset();
+        this.startedAt = Date.now();
+        this.frameInterval = setInterval(() => this.processFrame(), this.frameDuration);
+    }
+
+    /**
+     * Stop analysing
+     */
+    stop() {
+        if (this.frameInterval) {
+            clearInterval(this.frameInterval);
+            this.frameInterval = null;
+        }
+    }
+
+    /**
+     * Check if the ambient noise has been measured
+     */
+    isCalibrated() {
+        return this.noiseFloor !== null;
+    }
+
+    /**
+     * Check if enough speech was heard to count as an utterance
+     */
+    hasSpeech() {
+        const current = this.isSpeaking ? Date.now() - this.segmentStartedAt : 0;
+        return this.speechDuration + current >= this.minSpeech;
+    }
+
+    /**
+     * Get the current input level in dB
+     */
+    getLevel() {
+        this.analyser.getFloatTimeDomainData(this.samples);
+
+        let sum = 0;
+        for (const sample of this.samples) {
+            sum += sample * sample;
+        }
+        const rms = Math.sqrt(sum / this.samples.length);
+        return 20 * Math.log10(Math.max(rms, 1e-8));
+    }
+
+    /**
+     * Analyse one frame
+     */
+    processFrame() {
+        const level = this.getLevel();
+        const now = Date.now();
+
+        if (!this.isCalibrated()) {
+            this.calibrate(level, now);
+            return;
+        }
+
+        const isLoud = level >= Math.max(this.noiseFloor + this.speechMargin, this.minSpeechLevel);
+
+        if (isLoud) {
+            this.loudFrames++;
+            this.lastLoudAt = now;
+
+            if (!this.isSpeaking && this.loudFrames >= this.onsetFrames) {
+                this.isSpeaking = true;
+                this.segmentStartedAt = now - (this.onsetFrames - 1) * this.frameDuration;
+                this.onSpeechStart?.();
+            }
+            return;
+        }
+
+        this.loudFrames = 0;
+
+        if (this.isSpeaking) {
+            if (now - this.lastLoudAt >= this.hangover) {
+                const duration = this.lastLoudAt - this.segmentStartedAt;
+                this.isSpeaking = false;
+                this.speechDuration += duration;
+                this.onSpeechEnd?.(duration);
+            }
+            return;
+        }
+
+        // Follow slow changes in the background noise
+        this.noiseFloor = Math.min(this.maxNoiseFloor, this.noiseFloor * 0.95 + level * 0.05);
+
+        if (!this.utteranceEnded && this.hasSpeech() && now - this.lastLoudAt >= this.endSilence) {
+            this.utteranceEnded = true;
+            this.onUtteranceEnd?.(this.speechDuration);
+        }
+    }
+
+    /**
+     * Collect calibration frames and set the noise floor
+     */
+    calibrate(level, now) {
+        this.calibrationLevels.push(level);
+        if (now - this.startedAt < this.calibrationDuration) return;
+
+        // A low percentile ignores speech that started during calibration
+        const sorted = [...this.calibrationLevels].sort((a, b) => a - b);
+        const floor = sorted[Math.floor(sorted.length * 0.2)];
+        this.noiseFloor = Math.min(floor, this.maxNoiseFloor);
+        this.calibrationLevels = [];
+
+        Utils.log(`Voice activity detector calibrated (noise floor ${this.noiseFloor.toFixed(1)} dB)`, 'debug');
+        this.onCalibrated?.(this.noiseFloor);
+    }
+}
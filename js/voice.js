@@ -1,12 +1,13 @@
 /**
  * Simplified Voice Processing System
  * One-shot listening: starts automatically, listens for one sentence, processes, then stops
+ * Conversation mode: repeats the one-shot cycle hands-free until stopped
  */
 
 class VoiceProcessor {
     constructor() {
         this.isListening = false;
-        this.recognition = null;
+        this.engine = null; // Speech-to-text engine (see createEngine)
         this.audioContext = null;
         this.analyser = null;
         this.microphone = null;
@@ -20,244 +21,1455 @@ class VoiceProcessor {
         this.speechStartTime = 0;
         this.silenceTimeout = null;
 
+        // Conversation mode (hands-free follow-up turns)
+        this.conversationMode = false;
+        this.conversationTimeout = 60000; // End after 60 seconds without an exchange
+        this.turnListenTimeout = 8000; // Give up on a turn after 8 seconds without speech
+        this.maxEmptyTurns = 2; // End after this many turns in a row with no usable speech
+        this.turnRestartDelay = 600; // Pause before listening again
+        this.emptyTurns = 0;
+        this.lastConversationActivity = 0;
+        this.turnHadResult = false;
+        this.nextTurnTimeout = null;
+        this.turnListenTimer = null;
+        this.stopPhrases = [
+            /^(stop|stop listening|that's all|that is all|goodbye|good bye|bye|never mind|end conversation)[.!]?$/i
+        ];
+
+        // Confirmation round-trips (workflow asks before a destructive action)
+        this.pendingConfirmation = null;
+        this.unclearAnswers = 0;
+        this.confirmationTimeout = 120000; // Forget an unanswered confirmation after 2 minutes
+        this.maxUnclearAnswers = 2;
+        this.yesPattern = /^(yes|yeah|yep|yup|sure|ok|okay|confirm|confirmed|correct|do it|go ahead|send it|that's right|please do)\b/i;
+        this.noPattern = /^(no|nope|nah|cancel|stop|don't|do not|never mind|nevermind|abort|wait)\b/i;
+
+        // Slot filling (workflow asks for a missing detail such as a time)
+        this.pendingSlot = null;
+        this.slotTimeout = 120000;
+        this.cancelPattern = /^(cancel|never mind|nevermind|forget it|stop)$/i;
+
+        // Results too unsure to use are dropped and the user is asked to say them again
+        this.reprompts = 0;
+        this.maxReprompts = 2; // Give up after asking this many times in a row
+
         // Voice level monitoring
         this.voiceLevelInterval = null;
         this.isMonitoringVoiceLevel = false;
+        this.microphoneStream = null;
+        this.vad = null; // Voice activity detector on the voice level analyser
+
+        // Audio clips forwarded to n8n (recorded from the voice level stream)
+        this.clipRecorder = null;
+        this.clipPromise = null; // Resolves to the recorded clip once the recorder stops
+        this.clipBitrate = 32000;
+
+        // Push-to-talk: listening lasts exactly as long as the button is held
+        this.pushToTalk = null; // { held, cancelled, results } while a hold is in progress
+
+        // Note dictation: segments are collected into a draft until the note is finished
+        this.dictation = null; // { text, startedAt, state: 'active' | 'paused' | 'finishing' | 'cancelled' }
+
+        // Recovery: sessions cut short by errors or browser quirks are restarted a few times,
+        // waiting longer before each attempt
+        this.recoverableErrors = ['no-speech', 'aborted', 'network', 'start-failed', 'start-timeout'];
+        this.maxRecoveryAttempts = 3;
+        this.recoveryDelay = 500; // Doubles with each attempt
+        this.startTimeout = 4000; // A recognizer that has not started by then is recreated
+        this.minSessionDuration = 1000; // Sessions ending sooner than this count as failed
+        this.recoveryAttempts = 0;
+        this.recoveryTimer = null;
+        this.startWatchdog = null;
+        this.sessionStartedAt = 0;
+        this.lastRecognitionError = null;
+        this.stopRequested = false; // The app ended the session itself
+
+        // Event handlers
+        this.onResult = null;
+        this.onError = null;
+        this.onStatusChange = null;
+        this.onVoiceLevel = null;
+        this.onModeChange = null;
+        this.onResponseChunk = null;
+        this.onConfirmationChange = null;
+        this.onSlotChange = null;
+        this.onReview = null;
+        this.onDictationChange = null;
+        this.onInterim = null; // (finalText, interimText) while speaking, null when the live transcript is dropped
+
+        this.currentTurn = null; // Promise of the request/reply turn in progress
+        this.pendingReview = null; // Transcript waiting for the user to check it
+
+        this.initializeRecognition();
+    }
+
+    /**
+     * Create a speech-to-text engine.
+     * Engines share one interface: initialize(lang), isSupported(), start(options), stop(), abort(),
+     * setLanguage(lang), reset() (replace a recognizer that stopped responding) and destroy(), plus
+     * the events onStart, onSpeech(interim) (speech heard, with the interim transcript if the engine
+     * has one), onFinal(text, alternatives, audio), onError(code, message) and onEnd. Error codes
+     * follow the Web Speech API ('no-speech', 'network', 'aborted', ...) so recovery treats every
+     * engine the same. Engines that end recordings on silence themselves set detectsSilence, and
+     * may fire onTranscribing while audio is being converted to text.
+     * Engines that record audio anyway set providesAudio and pass the clip with the transcript.
+     * start({ untilStopped: true }) keeps listening through silences until stop() or abort().
+     */
+    createEngine(name) {
+        return name === 'whisper' ? new WhisperEngine() : new WebSpeechEngine();
+    }
+
+    /**
+     * Initialize speech recognition with the engine chosen in settings
+     */
+    initializeRecognition() {
+        this.engine = this.createEngine(window.configManager.get('sttEngine'));
+        this.setupRecognitionEvents();
+
+        if (!this.engine.initialize(window.languageManager.getLanguage())) {
+            return false;
+        }
+
+        Utils.log(`Speech recognition initialized for one-shot listening (${this.engine.name})`);
+        return true;
+    }
+
+    /**
+     * Switch to another speech-to-text engine
+     */
+    setEngine(name) {
+        if (this.engine?.name === name) return;
+
+        const wasListening = this.isListening;
+        this.cancelRecovery();
+        this.clearStartWatchdog();
+        this.engine?.destroy();
+        if (wasListening) {
+            // The old engine's end event no longer arrives
+            this.stopRequested = true;
+            this.handleRecognitionEnd();
+        }
+
+        this.initializeRecognition();
+    }
+
+    /**
+     * Change the recognition language (applies from the next listening session)
+     */
+    setLanguage(lang) {
+        this.engine?.setLanguage(lang);
+        window.speechOutput?.setLanguage(lang);
+        Utils.log(`Recognition language set to ${lang}`);
+    }
+
+    /**
+     * Setup speech recognition event handlers
+     */
+    setupRecognitionEvents() {
+        this.engine.onStart = () => {
+            Utils.log('One-shot speech recognition started');
+            this.clearStartWatchdog();
+            this.sessionStartedAt = Date.now();
+            this.isListening = true;
+            this.turnHadResult = false;
+            this.speechStartTime = 0;
+            this.updateStatus(this.dictation ? 'dictating' : 'listening');
+            this.startVoiceLevelMonitoring();
+
+            // The button was let go before the microphone was ready
+            if (this.pushToTalk && !this.pushToTalk.held) {
+                this.releasePushToTalk();
+                return;
+            }
+
+            if (this.conversationMode && !this.dictation) {
+                this.turnListenTimer = setTimeout(() => {
+                    if (!this.speechStartTime) {
+                        Utils.log('No speech in this conversation turn');
+                        this.stopListening();
+                    }
+                }, this.turnListenTimeout);
+            }
+        };
+
+        this.engine.onSpeech = (interim) => {
+            this.markSpeech();
+            this.showInterim(interim);
+            if (this.engine.detectsSilence || this.pushToTalk || this.dictation) return;
+
+            // Fallback for when the detector cannot tell speech from background noise:
+            // stop once interim results stop coming
+            this.clearSilenceTimeout();
+            this.silenceTimeout = setTimeout(() => {
+                this.handleSilenceDetected();
+            }, this.silenceThreshold);
+        };
+
+        this.engine.onTranscribing = () => {
+            this.stopVoiceLevelMonitoring();
+
+            // Long holds are transcribed in parts; the button must stay usable for the release
+            if (!this.pushToTalk?.held && !this.dictation) {
+                this.updateStatus('transcribing');
+            }
+        };
+
+        this.engine.onFinal = (text, alternatives, audio) => {
+            // Coughs and clicks can come back as one-word fragments; keep listening for real speech
+            if (this.isNoiseFragment(text)) {
+                Utils.log(`Ignoring "${text}": no speech detected`);
+                this.onInterim?.(null);
+                return;
+            }
+
+            this.markSpeech();
+            this.clearSilenceTimeout();
+            this.recoveryAttempts = 0;
+
+            Utils.log(`Final transcript: ${text}`);
+
+            if (this.dictation) {
+                this.addDictationSegment(text);
+                return;
+            }
+
+            // While held, results are collected and sent together on release
+            if (this.pushToTalk) {
+                this.pushToTalk.results.push({ text, alternatives, audio });
+                this.showInterim();
+                return;
+            }
+
+            this.processFinalResult(text, alternatives, audio);
+        };
+
+        this.engine.onError = (error, message) => {
+            Utils.log(`Speech recognition error: ${message || error}`, 'error');
+            this.lastRecognitionError = error;
+
+            // The session ends by itself after these, and handleRecognitionEnd restarts it
+            if (this.recoverableErrors.includes(error)) return;
+
+            if (this.pushToTalk) {
+                this.pushToTalk.held = false;
+            }
+            if (this.dictation?.state === 'active') {
+                this.dictation.state = 'paused';
+            }
+
+            if (error === 'not-allowed' || error === 'service-not-allowed') {
+                this.endConversation('microphone permission denied');
+                this.onError?.('Microphone permission denied. Please enable microphone access and refresh the page.');
+            } else {
+                this.onError?.(message || `Speech recognition error: ${error}`);
+            }
+
+            this.stopListening();
+        };
+
+        this.engine.onEnd = () => {
+            this.handleRecognitionEnd();
+        };
+    }
+
+    /**
+     * Pass the words heard so far on for display: finished results and the part still changing
+     */
+    showInterim(interim = '') {
+        // Dictation shows its words in the draft instead
+        if (this.dictation) return;
+
+        const finalText = this.pushToTalk ? this.pushToTalk.results.map(result => result.text).join(' ') : '';
+        if (finalText || interim) {
+            this.onInterim?.(finalText, interim);
+        }
+    }
+
+    /**
+     * Check if a short final transcript arrived without the detector hearing any speech
+     */
+    isNoiseFragment(text) {
+        // Answers to a question ("yes", "no", a one-word value) are short and may be spoken quietly
+        if (this.pendingConfirmation || this.pendingSlot) return false;
+        if (!this.vad?.isCalibrated() || this.vad.hasSpeech()) return false;
+        return text.trim().split(/\s+/).length <= 2;
+    }
+
+    /**
+     * Note that the user is speaking
+     */
+    markSpeech() {
+        this.lastSpeechTime = Date.now();
+        if (!this.speechStartTime) {
+            this.speechStartTime = Date.now();
+        }
+    }
+
+    /**
+     * Clear the timer that stops listening after interim results dry up
+     */
+    clearSilenceTimeout() {
+        if (this.silenceTimeout) {
+            clearTimeout(this.silenceTimeout);
+            this.silenceTimeout = null;
+        }
+    }
+
+    /**
+     * Clean up after a recognition session ends
+     */
+    handleRecognitionEnd() {
+        this.clearStartWatchdog();
+        const error = this.lastRecognitionError;
+        const stopRequested = this.stopRequested;
+        this.lastRecognitionError = null;
+        this.stopRequested = false;
+
+        // Recognizers end on their own after a while; keep going until the button is released
+        // or the note is finished
+        if (this.pushToTalk?.held || this.dictation?.state === 'active') {
+            // Silence and the browser's session limit are expected; other errors and sessions
+            // that end as soon as they start are retried with backoff
+            const failed = (error && error !== 'no-speech') || Date.now() - this.sessionStartedAt < this.minSessionDuration;
+            if (!failed) {
+                Utils.log('Speech recognition ended early, restarting');
+                this.restartRecognition();
+                return;
+            }
+            if (this.scheduleRecovery(error || 'ended-early')) return;
+
+            if (this.pushToTalk) {
+                this.pushToTalk.held = false;
+            }
+            if (this.dictation) {
+                this.dictation.state = 'paused';
+            }
+            this.reportRecoveryFailure(error);
+        } else if (!stopRequested && !this.turnHadResult && this.shouldRecover(error)) {
+            if (this.scheduleRecovery(error || 'ended-early')) return;
+            this.reportRecoveryFailure(error);
+        }
+
+        Utils.log('Speech recognition ended - One-shot complete');
+        this.isListening = false;
+        this.stopVoiceLevelMonitoring();
+        this.clearSilenceTimeout();
+        this.clearTurnListenTimer();
+
+        if (this.pushToTalk) {
+            this.finishPushToTalkTurn();
+            return;
+        }
+
+        if (this.dictation) {
+            // A paused draft stays open until it is resumed, finished or cancelled
+            if (this.dictation.state === 'paused') {
+                this.onDictationChange?.(this.dictation);
+                this.updateStatus('dictating');
+            } else {
+                this.endDictation();
+            }
+            return;
+        }
+
+        // After a final result the turn owns the status (it may still be reviewing or sending)
+        if (this.turnHadResult) return;
+
+        this.clipPromise = null;
+        this.onInterim?.(null);
+        this.reprompts = 0; // Nothing was said after "Sorry, I didn't catch that"
+
+        this.updateStatus('ready');
+
+        // A turn that ended without a final result counts as empty
+        if (this.conversationMode) {
+            this.registerEmptyTurn();
+        }
+    }
+
+    /**
+     * Check if a one-shot session that ended without a result should be restarted
+     */
+    shouldRecover(error) {
+        // Conversation turns already listen again through their empty-turn handling
+        if (error === 'no-speech') {
+            return !this.conversationMode;
+        }
+        // No error and no stop: Safari ends sessions early without saying why
+        return !error || this.recoverableErrors.includes(error);
+    }
+
+    /**
+     * Restart listening after a delay that doubles with each attempt.
+     * Returns false once the attempts are used up.
+     */
+    scheduleRecovery(reason) {
+        if (this.recoveryAttempts >= this.maxRecoveryAttempts) {
+            Utils.log(`Recognition recovery gave up after ${this.recoveryAttempts} attempts (${reason})`, 'error');
+            this.recoveryAttempts = 0;
+            return false;
+        }
+
+        const delay = this.recoveryDelay * 2 ** this.recoveryAttempts;
+        this.recoveryAttempts++;
+        Utils.log(`Recognition recovery (${reason}): restarting in ${delay}ms, attempt ${this.recoveryAttempts} of ${this.maxRecoveryAttempts}`, 'warn');
+
+        this.clearSilenceTimeout();
+        this.clearTurnListenTimer();
+        this.recoveryTimer = setTimeout(() => {
+            this.recoveryTimer = null;
+            this.restartRecognition();
+        }, delay);
+        return true;
+    }
+
+    /**
+     * Start the engine again for the listening session in progress
+     */
+    async restartRecognition() {
+        try {
+            this.armStartWatchdog();
+            await this.engine.start(this.pushToTalk ? { untilStopped: true } : {});
+        } catch (error) {
+            Utils.log(`Failed to restart recognition: ${Utils.getErrorMessage(error)}`, 'error');
+            this.clearStartWatchdog();
+
+            // "Already started": the recognizer lost track of its state and has to be replaced
+            if (error.name === 'InvalidStateError') {
+                this.recreateRecognizer();
+            }
+            this.lastRecognitionError = 'start-failed';
+            this.handleRecognitionEnd();
+        }
+    }
+
+    /**
+     * Cancel a restart that is waiting for its delay
+     */
+    cancelRecovery() {
+        if (this.recoveryTimer) {
+            clearTimeout(this.recoveryTimer);
+            this.recoveryTimer = null;
+            Utils.log('Recognition recovery cancelled');
+        }
+    }
+
+    /**
+     * Treat a recognizer that has not started after startTimeout as dead
+     */
+    armStartWatchdog() {
+        this.clearStartWatchdog();
+        this.startWatchdog = setTimeout(() => {
+            this.startWatchdog = null;
+            Utils.log(`Speech recognition did not start within ${this.startTimeout}ms`, 'warn');
+            this.recreateRecognizer();
+
+            // The replaced recognizer will not send its end event
+            this.lastRecognitionError = 'start-timeout';
+            this.handleRecognitionEnd();
+        }, this.startTimeout);
+    }
+
+    /**
+     * Clear the start watchdog
+     */
+    clearStartWatchdog() {
+        if (this.startWatchdog) {
+            clearTimeout(this.startWatchdog);
+            this.startWatchdog = null;
+        }
+    }
+
+    /**
+     * Replace the engine's recognizer with a new one
+     */
+    recreateRecognizer() {
+        Utils.log(`Recreating the ${this.engine.name} recognizer`, 'warn');
+        if (!this.engine.reset()) {
+            Utils.log('Failed to recreate the recognizer', 'error');
+        }
+    }
+
+    /**
+     * Tell the user listening stopped after recovery did not help
+     */
+    reportRecoveryFailure(error) {
+        if (error === 'no-speech') return;
+
+        if (error === 'network') {
+            this.onError?.('Network error. Please check your internet connection.');
+        } else if (error === 'start-timeout') {
+            this.onError?.('Voice recognition is not responding. Please try again.');
+        } else {
+            this.onError?.('Voice recognition stopped unexpectedly. Please try again.');
+        }
+    }
+
+    /**
+     * Start listening until the push-to-talk button is released
+     */
+    async startPushToTalk() {
+        if (this.isListening || this.pushToTalk) return false;
+
+        this.cancelNextTurn();
+        this.pushToTalk = { held: true, cancelled: false, results: [] };
+
+        const success = await this.startListening({ untilStopped: true });
+        if (!success) {
+            this.pushToTalk = null;
+        }
+        return success;
+    }
+
+    /**
+     * Release the push-to-talk button and send what was said
+     */
+    finishPushToTalk() {
+        if (!this.pushToTalk) return;
+
+        this.pushToTalk.held = false;
+        this.releasePushToTalk();
+    }
+
+    /**
+     * Release the push-to-talk button without sending anything
+     */
+    cancelPushToTalk() {
+        if (!this.pushToTalk) return;
+
+        this.pushToTalk.held = false;
+        this.pushToTalk.cancelled = true;
+        this.releasePushToTalk();
+    }
+
+    /**
+     * Stop the engine once the button is up (called again from onStart if it was not running yet)
+     */
+    releasePushToTalk() {
+        if (!this.isListening) return;
+
+        if (this.pushToTalk.cancelled) {
+            this.abortListening();
+        } else {
+            this.stopListening();
+        }
+    }
+
+    /**
+     * Send the results collected while the button was held
+     */
+    finishPushToTalkTurn() {
+        const { cancelled, results } = this.pushToTalk;
+        this.pushToTalk = null;
+
+        if (cancelled || !results.length) {
+            Utils.log(cancelled ? 'Push-to-talk cancelled' : 'Push-to-talk released without speech');
+            this.clipPromise = null;
+            this.onInterim?.(null);
+            this.updateStatus('ready');
+            return;
+        }
+
+        if (results.length === 1) {
+            const [{ text, alternatives, audio }] = results;
+            this.processFinalResult(text, alternatives, audio);
+            return;
+        }
+
+        // Alternatives do not line up across several results; keep the least certain score
+        const text = results.map(result => result.text).join(' ');
+        const confidence = Math.min(...results.map(result => result.alternatives[0]?.confidence || 0));
+
+        // Each part is a separate recording, and recordings cannot simply be joined, so the
+        // last one is sent (engines without their own audio fall back to the hold's clip)
+        const clips = results.map(result => result.audio).filter(Boolean);
+        if (clips.length > 1) {
+            Utils.log(`Push-to-talk hold was recorded in ${clips.length} parts, sending the last one as audio`, 'warn');
+        }
+        this.processFinalResult(text, [{ transcript: text, confidence }], clips[clips.length - 1] ?? null);
+    }
+
+    /**
+     * Check if a push-to-talk hold is in progress
+     */
+    isPushToTalkActive() {
+        return !!this.pushToTalk;
+    }
+
+    /**
+     * Start dictating a note
+     */
+    async startDictation() {
+        if (this.dictation) return true;
+
+        this.supersedeReview();
+        this.cancelNextTurn();
+        this.dictation = { text: '', startedAt: Date.now(), state: 'active' };
+        Utils.log('Dictation started');
+        this.onDictationChange?.(this.dictation);
+
+        // A recognizer that is still ending restarts for the dictation when it does
+        if (this.isListening) {
+            this.updateStatus('dictating');
+            return true;
+        }
+        return await this.resumeDictation();
+    }
+
+    /**
+     * Listen for more of the note
+     */
+    async resumeDictation() {
+        if (!this.dictation) return false;
+
+        this.dictation.state = 'active';
+        this.onDictationChange?.(this.dictation);
+        if (this.isListening) return true;
+
+        const success = await this.startListening();
+        if (!success && this.dictation) {
+            this.dictation.state = 'paused';
+            this.onDictationChange?.(this.dictation);
+            this.updateStatus('dictating');
+        }
+        return success;
+    }
+
+    /**
+     * Stop listening but keep the draft open
+     */
+    pauseDictation() {
+        if (this.dictation?.state !== 'active') return;
+
+        Utils.log('Dictation paused');
+        this.dictation.state = 'paused';
+        this.onDictationChange?.(this.dictation);
+        this.stopListening();
+    }
+
+    /**
+     * Replace the draft with the user's edits
+     */
+    setDictationText(text) {
+        if (this.dictation) {
+            this.dictation.text = text;
+        }
+    }
+
+    /**
+     * Add a dictated (or typed) segment to the draft, carrying out any spoken commands in it
+     */
+    addDictationSegment(segment) {
+        if (!this.dictation) return;
+
+        const { text, ended } = window.noteDictation.applySegment(this.dictation.text, segment);
+        this.dictation.text = text;
+        this.onDictationChange?.(this.dictation);
+
+        if (ended === 'finish') {
+            this.finishDictation();
+        } else if (ended === 'cancel') {
+            this.cancelDictation();
+        }
+    }
+
+    /**
+     * Send the note once the last words are in
+     */
+    finishDictation() {
+        if (!this.dictation || this.dictation.state === 'finishing') return;
+
+        this.dictation.state = 'finishing';
+        if (this.isListening) {
+            this.stopListening();
+        } else {
+            this.endDictation();
+        }
+    }
+
+    /**
+     * Throw the draft away
+     */
+    cancelDictation() {
+        if (!this.dictation) return;
+
+        this.dictation.state = 'cancelled';
+        if (this.isListening) {
+            this.abortListening();
+        } else {
+            this.endDictation();
+        }
+    }
+
+    /**
+     * Close the draft after listening has stopped, sending it unless it was cancelled
+     */
+    async endDictation() {
+        const { text, state, startedAt } = this.dictation;
+        const note = text.trim();
+        this.dictation = null;
+        this.onDictationChange?.(null);
+        this.lastConversationActivity = Date.now();
+
+        if (state === 'cancelled' || !note) {
+            Utils.log(state === 'cancelled' ? 'Dictation cancelled' : 'Dictation finished without a note');
+            this.updateStatus('ready');
+            this.scheduleNextTurn();
+            return;
+        }
+
+        const words = window.noteDictation.countWords(note);
+        Utils.log(`Sending dictated note (${words} words)`);
+
+        // Routed as "note: ..." so the rules that send notes to the note workflow apply
+        const { endpoint } = window.endpointRouter.route(`note: ${note}`);
+        await this.sendText(note, {
+            endpoint,
+            metadata: {
+                input: 'dictation',
+                type: 'note',
+                note: {
+                    words,
+                    paragraphs: note.split(/\n\s*\n/).length,
+                    duration: Date.now() - startedAt
+                }
+            }
+        });
+    }
+
+    /**
+     * Check if a note is being dictated
+     */
+    isDictating() {
+        return !!this.dictation;
+    }
+
+    /**
+     * Handle silence detection
+     */
+    handleSilenceDetected() {
+        const speechDuration = Date.now() - this.speechStartTime;
+        Utils.log(`Silence detected after ${speechDuration}ms of speech`);
+
+        if (speechDuration >= this.minSpeechDuration) {
+            Utils.log('Sufficient speech detected, stopping recognition');
+            this.stopListening();
+        }
+    }
+
+    /**
+     * Validate if speech is meaningful
+     */
+    isValidSpeech(text) {
+        if (!text || typeof text !== 'string') return false;
+
+        const cleanText = text.trim();
+
+        // Check minimum length
+        if (cleanText.length < this.minSpeechLength) {
+            Utils.log(`Speech too short: "${cleanText}"`);
+            return false;
+        }
+
+        // Check for minimum word count
+        const words = cleanText.split(/\s+/).filter(word => word.length > 0);
+        if (words.length < 1) {
+            Utils.log(`Not enough words: "${cleanText}"`);
+            return false;
+        }
+
+        // Filter out noise patterns
+        const noisePatterns = [
+            /^(uh|um|ah|eh|mm|hmm)$/i,
+            /^[.,;:!?]+$/,
+            /^\s*$/,
+            /^[a-z]$/i
+        ];
+
+        for (const pattern of noisePatterns) {
+            if (pattern.test(cleanText)) {
+                Utils.log(`Speech matches noise pattern: "${cleanText}"`);
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Apply the user's rewrite rules to a transcript and its alternatives
+     */
+    rewriteTranscript(text, alternatives = []) {
+        const rewriter = window.transcriptRewriter;
+        return {
+            text: rewriter.apply(text),
+            alternatives: alternatives.map(alternative => ({
+                ...alternative,
+                transcript: rewriter.apply(alternative.transcript)
+            }))
+        };
+    }
+
+    /**
+     * Decide what to do with a result from its confidence: 'send', 'confirm' (review first)
+     * or 'reprompt' (ask again). The endpoint can ask for a higher score before sending unchecked.
+     */
+    getConfidenceAction(confidence, endpoint = null) {
+        // Some engines (iOS Safari, Whisper) report 0 when they have no score
+        if (!(confidence > 0)) return 'send';
+
+        if (confidence < (window.configManager.get('rejectConfidence') ?? 0.3)) return 'reprompt';
+
+        const reviewThreshold = endpoint?.reviewConfidence ?? window.configManager.get('reviewConfidence') ?? 0.6;
+        return confidence < reviewThreshold ? 'confirm' : 'send';
+    }
+
+    /**
+     * Get the recognizer's score of the text being sent (null if unknown or edited by hand)
+     */
+    getSentConfidence(text, alternatives = []) {
+        const match = alternatives.find(alternative => alternative.transcript === text);
+        return match?.confidence > 0 ? Math.round(match.confidence * 1000) / 1000 : null;
+    }
+
+    /**
+     * Say that a result was too unsure to use and listen again
+     */
+    async repromptTranscript(text, confidence) {
+        if (++this.reprompts > this.maxReprompts) {
+            Utils.log(`Confidence ${confidence.toFixed(2)} too low for "${text}" again, giving up`);
+            this.reprompts = 0;
+            this.onInterim?.(null);
+            this.updateStatus('ready');
+            if (this.conversationMode) {
+                this.registerEmptyTurn();
+            }
+            return;
+        }
+
+        // scheduleNextTurn listens again while a reprompt is outstanding, even in one-shot mode
+        Utils.log(`Confidence ${confidence.toFixed(2)} too low for "${text}", asking again (${this.reprompts}/${this.maxReprompts})`);
+        await this.trackTurn(this.replyLocally(text, "Sorry, I didn't catch that.", false));
+    }
+
+    /**
+     * Let the user check the transcript when review is on or recognition was unsure.
+     * Resolves to the text to send, null if the user discarded it, or undefined if other input
+     * took its place.
+     */
+    async reviewTranscript(text, alternatives = [], endpoint = null) {
+        const candidates = alternatives.length ? alternatives : [{ transcript: text, confidence: 0 }];
+        const confidence = candidates[0].confidence;
+        const lowConfidence = this.getConfidenceAction(confidence, endpoint) === 'confirm';
+
+        if (!this.onReview || (!lowConfidence && !window.configManager.get('reviewTranscripts'))) {
+            return text;
+        }
+
+        Utils.log(`Reviewing transcript (confidence ${confidence ? confidence.toFixed(2) : 'unknown'}, ${candidates.length} alternatives)`);
+        this.updateStatus('reviewing');
+
+        return await new Promise(resolve => {
+            this.pendingReview = {
+                text,
+                alternatives: candidates,
+                lowConfidence,
+                // Unsure transcripts wait for the user; others send themselves after the countdown
+                countdown: lowConfidence ? 0 : window.configManager.get('reviewCountdown') ?? 5,
+                resolve: (value) => {
+                    this.pendingReview = null;
+                    this.onReview?.(null);
+                    resolve(value);
+                }
+            };
+            this.onReview(this.pendingReview);
+        });
+    }
+
+    /**
+     * Send the reviewed (possibly corrected) transcript
+     */
+    submitReview(text) {
+        this.pendingReview?.resolve(text?.trim() || null);
+    }
+
+    /**
+     * Discard the transcript under review
+     */
+    cancelReview() {
+        this.pendingReview?.resolve(null);
+    }
+
+    /**
+     * Drop the transcript under review because other input replaces it (the new input
+     * owns the status and the next turn, so the discard path must not run)
+     */
+    supersedeReview() {
+        if (!this.pendingReview) return;
+
+        Utils.log('Transcript under review replaced by new input');
+        this.pendingReview.resolve(undefined);
+    }
+
+    /**
+     * Return to idle after a discarded transcript
+     */
+    handleDiscardedTranscript() {
+        Utils.log('Transcript discarded in review');
+        this.onInterim?.(null);
+        this.lastConversationActivity = Date.now();
+        this.updateStatus('ready');
+        this.scheduleNextTurn();
+    }
+
+    /**
+     * Process final speech result (one-shot)
+     */
+    async processFinalResult(text, alternatives = [], engineAudio = null) {
+        // Stop listening immediately - one turn at a time
+        this.turnHadResult = true;
+        this.stopListening();
+        this.onInterim?.(text, ''); // Settle the live transcript until the message replaces it
+
+        const audio = await this.takeClip(engineAudio);
+
+        // Short answers like "no" or "6" would fail the speech checks below
+        const expectedInput = this.getExpectedInput();
+        if (expectedInput !== 'command' && text?.trim()) {
+            this.emptyTurns = 0;
+            if (expectedInput === 'confirmation') {
+                await this.handleConfirmationAnswer(text.trim());
+                return;
+            }
+
+            const confidence = alternatives[0]?.confidence || 0;
+            if (this.getConfidenceAction(confidence) === 'reprompt') {
+                await this.repromptTranscript(text.trim(), confidence);
+                return;
+            }
+            this.reprompts = 0;
+
+            // Slot answers are often names or addresses, so they get the rewrite rules and review step too
+            const endpoint = this.pendingSlot?.endpoint;
+            const rewritten = this.rewriteTranscript(text.trim(), alternatives);
+            const answer = await this.reviewTranscript(rewritten.text, rewritten.alternatives, endpoint);
+            if (answer === undefined) return;
+            if (answer === null) {
+                this.handleDiscardedTranscript();
+            } else {
+                await this.handleSlotAnswer(answer, {
+                    audio,
+                    confidence: this.getSentConfidence(answer, rewritten.alternatives)
+                });
+            }
+            return;
+        }
+
+        if (!this.isValidSpeech(text)) {
+            Utils.log('Invalid speech detected, ignoring');
+            this.onInterim?.(null);
+            this.updateStatus('ready');
+            if (this.conversationMode) {
+                this.registerEmptyTurn();
+            }
+            return;
+        }
+
+        const cleanText = text.trim();
+
+        const confidence = alternatives[0]?.confidence || 0;
+        if (this.getConfidenceAction(confidence) === 'reprompt') {
+            await this.repromptTranscript(cleanText, confidence);
+            return;
+        }
+        this.reprompts = 0;
 
-        // Event handlers
-        this.onResult = null;
-        this.onError = null;
-        this.onStatusChange = null;
-        this.onVoiceLevel = null;
+        if (this.conversationMode && this.isStopCommand(cleanText)) {
+            this.onInterim?.(null);
+            this.endConversation('stop command');
+            this.updateStatus('ready');
+            return;
+        }
 
-        this.initializeRecognition();
+        this.emptyTurns = 0;
+
+        const language = window.languageManager.matchSwitchCommand(cleanText);
+        if (language) {
+            window.languageManager.setLanguage(language);
+            await this.trackTurn(this.replyLocally(cleanText, `Okay, switching to ${window.languageManager.getName(language)}.`, false));
+            return;
+        }
+
+        if (window.noteDictation.isStartCommand(cleanText)) {
+            this.onInterim?.(null);
+            await this.startDictation();
+            return;
+        }
+
+        // Routed here only to apply the endpoint's confidence threshold; sendText routes the final text
+        const rewritten = this.rewriteTranscript(cleanText, alternatives);
+        const { endpoint } = window.endpointRouter.route(rewritten.text);
+        const reviewedText = await this.reviewTranscript(rewritten.text, rewritten.alternatives, endpoint);
+        if (reviewedText === undefined) return;
+        if (reviewedText === null) {
+            this.handleDiscardedTranscript();
+            return;
+        }
+
+        Utils.log(`Processing one-shot speech: "${reviewedText}"`);
+        await this.sendText(reviewedText, {
+            audio,
+            metadata: { confidence: this.getSentConfidence(reviewedText, rewritten.alternatives) }
+        });
     }
 
     /**
-     * Initialize speech recognition
+     * Handle a message typed in the composer like a final transcript
      */
-    initializeRecognition() {
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    async submitText(text) {
+        const cleanText = text.trim();
+        if (!cleanText) return;
 
-        if (!SpeechRecognition) {
-            Utils.log('Speech recognition not supported in this browser', 'error');
-            return false;
+        this.supersedeReview();
+        this.cancelNextTurn();
+        if (this.isListening) {
+            this.turnHadResult = true;
+            this.stopListening();
         }
+        this.onInterim?.(null); // Drop what was being said; the typed text replaces it
 
-        this.recognition = new SpeechRecognition();
-        this.setupRecognitionConfig();
-        this.setupRecognitionEvents();
+        this.emptyTurns = 0;
+        this.reprompts = 0;
 
-        Utils.log('Speech recognition initialized for one-shot listening');
-        return true;
+        // Typed text needs no speech checks or review, but can still answer a question
+        const expectedInput = this.getExpectedInput();
+        if (expectedInput === 'confirmation') {
+            await this.handleConfirmationAnswer(cleanText);
+            return;
+        }
+        if (expectedInput === 'slot') {
+            await this.handleSlotAnswer(cleanText);
+            return;
+        }
+
+        const language = window.languageManager.matchSwitchCommand(cleanText);
+        if (language) {
+            window.languageManager.setLanguage(language);
+            await this.trackTurn(this.replyLocally(cleanText, `Okay, switching to ${window.languageManager.getName(language)}.`, false));
+            return;
+        }
+
+        Utils.log(`Processing typed text: "${cleanText}"`);
+        await this.sendText(cleanText, { metadata: { input: 'text' } });
     }
 
     /**
-     * Configure speech recognition
+     * Send text to n8n, show and speak the reply, then continue the conversation.
+     * options.endpoint skips routing, options.requestText replaces the text sent to n8n,
+     * options.metadata is merged into the payload metadata and options.audio is the
+     * recorded clip, sent to endpoints that want it.
      */
-    setupRecognitionConfig() {
-        this.recognition.continuous = true;
-        this.recognition.interimResults = true;
-        this.recognition.maxAlternatives = 1;
-        this.recognition.lang = 'en-US';
+    sendText(cleanText, options = {}) {
+        return this.trackTurn(this.runTurn(cleanText, options));
     }
 
     /**
-     * Setup speech recognition event handlers
+     * Remember the turn in progress so others can wait for it
      */
-    setupRecognitionEvents() {
-        let interimTranscript = '';
-        let finalTranscript = '';
-
-        this.recognition.onstart = () => {
-            Utils.log('One-shot speech recognition started');
-            this.isListening = true;
-            this.updateStatus('listening');
-            this.startVoiceLevelMonitoring();
-        };
-
-        this.recognition.onresult = (event) => {
-            interimTranscript = '';
-            finalTranscript = '';
+    trackTurn(promise) {
+        this.currentTurn = promise.finally(() => {
+            this.currentTurn = null;
+        });
+        return this.currentTurn;
+    }
 
-            for (let i = event.resultIndex; i < event.results.length; i++) {
-                const transcript = event.results[i][0].transcript;
+    /**
+     * Tell whether the next utterance answers a question or is a new command
+     */
+    getExpectedInput() {
+        if (this.pendingConfirmation && Date.now() > this.pendingConfirmation.expiresAt) {
+            Utils.log('Pending confirmation expired', 'warn');
+            this.setPendingConfirmation(null);
+        }
+        if (this.pendingSlot && Date.now() > this.pendingSlot.expiresAt) {
+            Utils.log(`Question for "${this.pendingSlot.name}" expired`, 'warn');
+            this.setPendingSlot(null);
+        }
 
-                if (event.results[i].isFinal) {
-                    finalTranscript += transcript;
-                } else {
-                    interimTranscript += transcript;
-                }
-            }
+        if (this.pendingConfirmation) return 'confirmation';
+        if (this.pendingSlot) return 'slot';
+        return 'command';
+    }
 
-            // Update speech timing
-            const hasContent = finalTranscript.trim() || interimTranscript.trim();
-            if (hasContent) {
-                this.lastSpeechTime = Date.now();
-                if (!this.speechStartTime) {
-                    this.speechStartTime = Date.now();
-                }
-            }
+    /**
+     * Set or clear the detail a workflow is asking for
+     */
+    setPendingSlot(pending) {
+        if (!pending && !this.pendingSlot) return;
 
-            // Clear existing silence timeout
-            if (this.silenceTimeout) {
-                clearTimeout(this.silenceTimeout);
-                this.silenceTimeout = null;
-            }
+        this.pendingSlot = pending;
+        this.onSlotChange?.(pending);
+    }
 
-            // Process final results
-            if (finalTranscript.trim()) {
-                const cleanText = finalTranscript.trim();
-                Utils.log(`Final transcript: ${cleanText}`);
-                this.processFinalResult(cleanText);
-                return; // Stop processing here
-            }
+    /**
+     * Send a spoken or typed answer to the workflow's question
+     */
+    async handleSlotAnswer(answer, { audio = null, confidence } = {}) {
+        const pending = this.pendingSlot;
+        if (!pending) return;
 
-            // Set silence timeout for interim results
-            if (interimTranscript.trim()) {
-                this.silenceTimeout = setTimeout(() => {
-                    this.handleSilenceDetected();
-                }, this.silenceThreshold);
-            }
-        };
+        this.setPendingSlot(null);
 
-        this.recognition.onerror = (event) => {
-            Utils.log(`Speech recognition error: ${event.error}`, 'error');
+        if (this.cancelPattern.test(answer.replace(/[.,!?]/g, '').trim())) {
+            Utils.log(`Slot filling for "${pending.name}" cancelled`);
+            await this.trackTurn(this.replyLocally(answer, 'Okay, cancelled.'));
+            return;
+        }
 
-            if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
-                this.onError?.('Microphone permission denied. Please enable microphone access and refresh the page.');
-            } else if (event.error === 'network') {
-                this.onError?.('Network error. Please check your internet connection.');
-            } else if (event.error !== 'no-speech') {
-                this.onError?.(`Speech recognition error: ${event.error}`);
+        Utils.log(`Answering "${pending.name}" with "${answer}"`);
+        await this.sendText(answer, {
+            endpoint: pending.endpoint,
+            audio,
+            metadata: {
+                ...pending.metadata,
+                ...(confidence !== undefined && { confidence }),
+                slotFilling: {
+                    slot: pending.name,
+                    value: answer,
+                    intent: pending.intent,
+                    state: pending.state,
+                    originalText: pending.originalText
+                }
             }
+        });
+    }
 
-            this.stopListening();
-        };
+    /**
+     * Abandon the workflow's question (tapped Cancel)
+     */
+    async cancelSlotFilling() {
+        const pending = this.pendingSlot;
+        if (!pending) return;
 
-        this.recognition.onend = () => {
-            Utils.log('Speech recognition ended - One-shot complete');
-            this.isListening = false;
-            this.stopVoiceLevelMonitoring();
+        this.setPendingSlot(null);
+        Utils.log(`Slot filling for "${pending.name}" cancelled`);
+        await this.trackTurn(this.replyLocally('Cancel', 'Okay, cancelled.'));
+    }
 
-            if (this.silenceTimeout) {
-                clearTimeout(this.silenceTimeout);
-                this.silenceTimeout = null;
-            }
+    /**
+     * Set or clear the action waiting for a yes/no answer
+     */
+    setPendingConfirmation(pending) {
+        if (!pending && !this.pendingConfirmation) return;
 
-            this.updateStatus('ready');
-            // NO AUTO-RESTART - User must manually restart
-        };
+        this.pendingConfirmation = pending;
+        this.unclearAnswers = 0;
+        this.onConfirmationChange?.(pending);
     }
 
     /**
-     * Handle silence detection
+     * Interpret a spoken answer to a confirmation question
      */
-    handleSilenceDetected() {
-        const speechDuration = Date.now() - this.speechStartTime;
-        Utils.log(`Silence detected after ${speechDuration}ms of speech`);
-
-        if (speechDuration >= this.minSpeechDuration) {
-            Utils.log('Sufficient speech detected, stopping recognition');
-            this.stopListening();
+    async handleConfirmationAnswer(answer) {
+        const normalized = answer.replace(/[.,!?]/g, '').trim();
+
+        if (this.noPattern.test(normalized)) {
+            await this.answerConfirmation(false, answer);
+        } else if (this.yesPattern.test(normalized)) {
+            await this.answerConfirmation(true, answer);
+        } else if (++this.unclearAnswers >= this.maxUnclearAnswers) {
+            Utils.log(`Unclear confirmation answer "${answer}", cancelling`);
+            await this.answerConfirmation(false, answer);
+        } else {
+            Utils.log(`Unclear confirmation answer "${answer}", asking again`);
+            await this.trackTurn(this.replyLocally(answer, 'Sorry, please say yes or no.', false));
         }
     }
 
     /**
-     * Validate if speech is meaningful
+     * Confirm or cancel the pending action (spoken answer or tapped button)
      */
-    isValidSpeech(text) {
-        if (!text || typeof text !== 'string') return false;
+    async answerConfirmation(confirmed, answerText = confirmed ? 'Yes' : 'No') {
+        const pending = this.pendingConfirmation;
+        if (!pending) return;
 
-        const cleanText = text.trim();
+        this.setPendingConfirmation(null);
 
-        // Check minimum length
-        if (cleanText.length < this.minSpeechLength) {
-            Utils.log(`Speech too short: "${cleanText}"`);
-            return false;
+        if (!confirmed) {
+            Utils.log('Pending action cancelled');
+            await this.trackTurn(this.replyLocally(answerText, 'Okay, cancelled.'));
+            return;
         }
 
-        // Check for minimum word count
-        const words = cleanText.split(/\s+/).filter(word => word.length > 0);
-        if (words.length < 1) {
-            Utils.log(`Not enough words: "${cleanText}"`);
-            return false;
-        }
+        Utils.log('Pending action confirmed, re-posting with confirmation token');
+        await this.sendText(answerText, {
+            endpoint: pending.endpoint,
+            requestText: pending.text,
+            metadata: { ...pending.metadata, confirmation: { token: pending.token, confirmed: true } }
+        });
+    }
 
-        // Filter out noise patterns
-        const noisePatterns = [
-            /^(uh|um|ah|eh|mm|hmm)$/i,
-            /^[.,;:!?]+$/,
-            /^\s*$/,
-            /^[a-z]$/i
-        ];
+    /**
+     * Answer without contacting n8n
+     */
+    async replyLocally(userText, replyText, recordExchange = true) {
+        this.cancelNextTurn();
+        if (this.isListening) {
+            this.turnHadResult = true;
+            this.stopListening();
+        }
 
-        for (const pattern of noisePatterns) {
-            if (pattern.test(cleanText)) {
-                Utils.log(`Speech matches noise pattern: "${cleanText}"`);
-                return false;
-            }
+        const reply = { text: replyText };
+        if (recordExchange) {
+            window.conversationSession?.addExchange(userText, replyText);
         }
+        this.onResult?.(userText, reply);
 
-        return true;
+        await this.speakResponse(replyText);
+
+        this.lastConversationActivity = Date.now();
+        this.updateStatus('ready');
+        this.scheduleNextTurn();
     }
 
     /**
-     * Process final speech result (one-shot, text response only)
+     * Run one request/reply turn
      */
-    async processFinalResult(text) {
-        // Stop listening immediately - one-shot only
-        this.stopListening();
-
-        if (!this.isValidSpeech(text)) {
-            Utils.log('Invalid speech detected, ignoring');
-            this.updateStatus('ready');
-            return;
+    async runTurn(cleanText, options) {
+        // Input from the screen replaces a turn that is listening or about to listen
+        this.cancelNextTurn();
+        if (this.isListening) {
+            this.turnHadResult = true;
+            this.stopListening();
         }
 
-        const cleanText = text.trim();
-        Utils.log(`Processing one-shot speech: "${cleanText}"`);
         this.updateStatus('processing');
 
-        try {
-            // Send to n8n
-            const response = await window.n8nClient.sendWithRetry(cleanText);
+        let reply;
+        const requestText = options.requestText ?? cleanText;
+        const route = options.endpoint
+            ? { endpoint: options.endpoint, text: requestText, rule: null }
+            : window.endpointRouter.route(requestText);
+        const metadata = { ...options.metadata };
 
-            if (response?.text) {
+        try {
+            // Send to the n8n endpoint chosen by the routing rules
+            const audio = route.endpoint.sendAudio && options.audio ? options.audio : null;
+            const response = await this.requestResponse(cleanText, route, metadata, audio);
+
+            if (response?.queued) {
+                // Offline: the exchange is recorded when the queued command is replayed
+                reply = response;
+            } else if (response?.text) {
                 Utils.log(`Received n8n response: ${response.text.substring(0, 100)}...`);
-                // NO VOICE - Just pass the text response to UI
-                this.onResult?.(cleanText, response);
+                reply = response;
+                window.conversationSession?.addExchange(cleanText, response.text, response.raw);
+
+                if (response.confirmation) {
+                    Utils.log('Workflow asked for confirmation');
+                    this.setPendingConfirmation({
+                        ...response.confirmation,
+                        endpoint: route.endpoint,
+                        text: route.text,
+                        metadata,
+                        expiresAt: Date.now() + this.confirmationTimeout
+                    });
+                } else if (response.slot) {
+                    Utils.log(`Workflow asked for "${response.slot.name}"`);
+                    // The answer carries its own confidence
+                    const { slotFilling, confidence, ...requestMetadata } = metadata;
+                    this.setPendingSlot({
+                        ...response.slot,
+                        endpoint: route.endpoint,
+                        metadata: requestMetadata,
+                        originalText: slotFilling?.originalText ?? route.text,
+                        expiresAt: Date.now() + this.slotTimeout
+                    });
+                }
             } else {
-                // NO VOICE - Just pass error message as text
-                this.onResult?.(cleanText, { text: "I received your message but got no response." });
+                reply = { text: "I received your message but got no response." };
+                window.conversationSession?.addExchange(cleanText, null, response?.raw);
             }
 
+            this.onResult?.(cleanText, reply);
+
         } catch (error) {
             const errorMessage = Utils.getErrorMessage(error);
             Utils.log(`Error processing speech: ${errorMessage}`, 'error');
-            // NO VOICE - Just pass error as text
-            this.onResult?.(cleanText, { text: `Sorry, I encountered an error processing your request.` });
+            reply = {
+                text: `Sorry, I encountered an error processing your request.`,
+                error: errorMessage,
+                endpoint: { id: route.endpoint.id, name: route.endpoint.name }
+            };
+            this.onResult?.(cleanText, reply);
             this.onError?.(errorMessage);
         }
 
+        await this.speakResponse(reply.speech ?? reply.text);
+
+        this.lastConversationActivity = Date.now();
         this.updateStatus('ready');
-        // ONE-SHOT COMPLETE - Text only, no voice
+        this.scheduleNextTurn();
+    }
+
+    /**
+     * Send routed text to n8n, passing streamed text on as it arrives
+     */
+    async requestResponse(transcript, route, metadata = {}, audio = null) {
+        let response = null;
+        let isStreaming = false;
+
+        for await (const event of window.n8nClient.streamWithRetry(route.text, metadata, route.endpoint, audio)) {
+            if (event.type === 'chunk') {
+                if (!isStreaming) {
+                    isStreaming = true;
+                    this.updateStatus('responding');
+                }
+                this.onResponseChunk?.(transcript, event.fullText);
+            } else if (event.type === 'done') {
+                response = event.response;
+            }
+        }
+
+        return response;
+    }
+
+    /**
+     * Start hands-free conversation mode
+     */
+    async startConversation() {
+        if (!this.conversationMode) {
+            this.conversationMode = true;
+            this.emptyTurns = 0;
+            this.lastConversationActivity = Date.now();
+            Utils.log('Conversation mode started');
+            this.onModeChange?.('conversation');
+        }
+
+        return await this.startListening();
+    }
+
+    /**
+     * End conversation mode
+     */
+    endConversation(reason = 'user') {
+        if (!this.conversationMode) return;
+
+        this.conversationMode = false;
+        this.emptyTurns = 0;
+        this.clearTurnListenTimer();
+        this.cancelNextTurn();
+
+        Utils.log(`Conversation mode ended (${reason})`);
+        this.onModeChange?.('one-shot');
+    }
+
+    /**
+     * Listen again for the next conversation turn
+     */
+    scheduleNextTurn() {
+        // A question from the workflow is answered right away, even outside conversation mode
+        const awaitingAnswer = this.getExpectedInput() !== 'command' || this.reprompts > 0;
+        if (!this.conversationMode && !awaitingAnswer) return;
+
+        if (this.conversationMode && Date.now() - this.lastConversationActivity > this.conversationTimeout) {
+            this.endConversation('timeout');
+            return;
+        }
+
+        if (this.nextTurnTimeout) {
+            clearTimeout(this.nextTurnTimeout);
+        }
+
+        this.nextTurnTimeout = setTimeout(() => {
+            this.nextTurnTimeout = null;
+            if (!this.conversationMode && this.getExpectedInput() === 'command' && !this.reprompts) return;
+
+            // Wait for the previous recognition session to finish ending
+            if (this.isListening) {
+                this.scheduleNextTurn();
+                return;
+            }
+
+            Utils.log('Listening for next conversation turn');
+            this.startListening();
+        }, this.turnRestartDelay);
+    }
+
+    /**
+     * Cancel a scheduled conversation turn
+     */
+    cancelNextTurn() {
+        if (this.nextTurnTimeout) {
+            clearTimeout(this.nextTurnTimeout);
+            this.nextTurnTimeout = null;
+        }
+    }
+
+    /**
+     * Record a conversation turn without usable speech
+     */
+    registerEmptyTurn() {
+        this.emptyTurns++;
+        Utils.log(`Empty conversation turn (${this.emptyTurns}/${this.maxEmptyTurns})`);
+
+        if (this.emptyTurns >= this.maxEmptyTurns) {
+            this.endConversation('no speech');
+            return;
+        }
+
+        this.scheduleNextTurn();
+    }
+
+    /**
+     * Check if text asks to end the conversation
+     */
+    isStopCommand(text) {
+        return this.stopPhrases.some(pattern => pattern.test(text.trim()));
+    }
+
+    /**
+     * Clear the per-turn listening timer
+     */
+    clearTurnListenTimer() {
+        if (this.turnListenTimer) {
+            clearTimeout(this.turnListenTimer);
+            this.turnListenTimer = null;
+        }
     }
 
     /**
      * Start one-shot listening
      */
-    async startListening() {
-        if (this.isListening || !this.recognition) return false;
+    async startListening(options = {}) {
+        if (this.isListening || !this.engine?.isSupported()) return false;
+
+        this.cancelRecovery();
+        this.recoveryAttempts = 0;
+
+        // A recognizer that never starts never resets these in onStart, and the start
+        // watchdog must not mistake the previous turn's state for this one's
+        this.turnHadResult = false;
+        this.stopRequested = false;
 
         try {
-            Utils.log('Starting one-shot listening...');
+            Utils.log(options.untilStopped ? 'Starting push-to-talk listening...' : 'Starting one-shot listening...');
             await this.requestMicrophonePermission();
-            this.recognition.start();
+            this.armStartWatchdog();
+            await this.engine.start(options);
             return true;
         } catch (error) {
+            this.clearStartWatchdog();
+
+            // "Already started": the recognizer lost track of its state; replace it and try once more
+            if (error.name === 'InvalidStateError' && !options.recreated) {
+                Utils.log(`Speech recognition stuck: ${Utils.getErrorMessage(error)}`, 'warn');
+                this.recreateRecognizer();
+                return this.startListening({ ...options, recreated: true });
+            }
+
             Utils.log(`Failed to start listening: ${Utils.getErrorMessage(error)}`, 'error');
-            this.onError?.('Failed to start voice recognition. Please check microphone permissions and refresh.');
+            this.onError?.(`Failed to start voice recognition: ${Utils.getErrorMessage(error)}`);
             return false;
         }
     }
@@ -266,20 +1478,61 @@ class VoiceProcessor {
      * Stop listening
      */
     stopListening() {
-        if (!this.isListening || !this.recognition) return;
+        // Listening that was about to resume stays stopped
+        if (this.recoveryTimer) {
+            this.cancelRecovery();
+            this.stopRequested = true;
+            this.handleRecognitionEnd();
+            return;
+        }
+
+        if (!this.isListening || !this.engine) return;
 
+        this.stopRequested = true;
         try {
-            this.recognition.stop();
-            if (this.silenceTimeout) {
-                clearTimeout(this.silenceTimeout);
-                this.silenceTimeout = null;
-            }
+            this.engine.stop();
+            this.clearSilenceTimeout();
         } catch (error) {
             Utils.log(`Error stopping recognition: ${Utils.getErrorMessage(error)}`, 'error');
         }
     }
 
-    // NO VOICE SYNTHESIS - REMOVED ALL SPEAKING METHODS
+    /**
+     * Stop listening without delivering a result
+     */
+    abortListening() {
+        if (this.recoveryTimer) {
+            this.stopListening();
+            return;
+        }
+
+        this.stopRequested = true;
+        this.engine.abort();
+    }
+
+    /**
+     * Read a reply aloud (if enabled)
+     */
+    async speakResponse(text) {
+        if (!window.speechOutput?.isEnabled() || !text?.trim()) return;
+
+        this.updateStatus('speaking');
+        await window.speechOutput.speak(text);
+    }
+
+    /**
+     * Stop speaking
+     */
+    stopSpeaking() {
+        window.speechOutput?.stop();
+    }
+
+    /**
+     * Check if a reply is currently being spoken
+     */
+    isSpeaking() {
+        return !!window.speechOutput?.isSpeaking;
+    }
 
     /**
      * Request microphone permission
@@ -303,6 +1556,7 @@ class VoiceProcessor {
 
         try {
             const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            this.microphoneStream = stream;
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             this.microphone = this.audioContext.createMediaStreamSource(stream);
             this.analyser = this.audioContext.createAnalyser();
@@ -316,6 +1570,9 @@ class VoiceProcessor {
                 this.updateVoiceLevel();
             }, 100);
 
+            this.startVoiceActivityDetection();
+            this.startClipRecording(stream);
+
         } catch (error) {
             Utils.log(`Failed to start voice level monitoring: ${Utils.getErrorMessage(error)}`, 'error');
         }
@@ -334,16 +1591,114 @@ class VoiceProcessor {
             this.voiceLevelInterval = null;
         }
 
+        this.vad?.stop();
+        this.vad = null;
+
         if (this.audioContext) {
             this.audioContext.close();
             this.audioContext = null;
         }
 
+        // The clip recorder shares the stream, so stop it before the tracks
+        this.stopClipRecording();
+        this.microphoneStream?.getTracks().forEach(track => track.stop());
+        this.microphoneStream = null;
+
         this.microphone = null;
         this.analyser = null;
         this.voiceLevelData = null;
     }
 
+    /**
+     * Detect the end of the utterance from the microphone level
+     */
+    startVoiceActivityDetection() {
+        // Engines that detect silence themselves run their own detector
+        if (this.engine?.detectsSilence) return;
+
+        this.vad = new VoiceActivityDetector(this.analyser);
+        this.vad.onSpeechStart = () => this.markSpeech();
+        this.vad.onUtteranceEnd = (duration) => {
+            // Pauses do not end a push-to-talk hold or a dictation
+            if (this.pushToTalk || this.dictation) return;
+
+            Utils.log(`End of utterance detected after ${duration}ms of speech`);
+            this.stopListening();
+        };
+        this.vad.start();
+    }
+
+    /**
+     * Record the utterance for endpoints that want the audio
+     */
+    startClipRecording(stream) {
+        this.clipPromise = null;
+        // Dictated notes are sent without audio
+        if (this.engine?.providesAudio || this.dictation || !window.MediaRecorder || !window.endpointRouter.wantsAudio()) return;
+
+        try {
+            const mimeType = Utils.getAudioMimeType(window.configManager.get('audioFormat'));
+            const recorder = new MediaRecorder(stream, {
+                ...(mimeType && { mimeType }),
+                audioBitsPerSecond: this.clipBitrate
+            });
+            const chunks = [];
+            const startedAt = Date.now();
+
+            recorder.ondataavailable = (event) => {
+                if (event.data.size > 0) {
+                    chunks.push(event.data);
+                }
+            };
+
+            this.clipPromise = new Promise(resolve => {
+                recorder.onstop = () => {
+                    const blob = new Blob(chunks, { type: recorder.mimeType || mimeType });
+                    resolve({ blob, mimeType: blob.type, duration: Date.now() - startedAt });
+                };
+                recorder.onerror = () => resolve(null);
+            });
+
+            recorder.start(250);
+            this.clipRecorder = recorder;
+        } catch (error) {
+            Utils.log(`Failed to record audio clip: ${Utils.getErrorMessage(error)}`, 'warn');
+            this.clipPromise = null;
+        }
+    }
+
+    /**
+     * Stop recording the clip (it stays available to takeClip)
+     */
+    stopClipRecording() {
+        if (this.clipRecorder && this.clipRecorder.state !== 'inactive') {
+            this.clipRecorder.stop();
+        }
+        this.clipRecorder = null;
+    }
+
+    /**
+     * Get the clip of the utterance that just ended, or null if none was recorded or it is too large
+     */
+    async takeClip(engineAudio = null) {
+        const promise = this.clipPromise;
+        this.clipPromise = null;
+        this.stopClipRecording();
+
+        if (!window.endpointRouter.wantsAudio()) return null;
+
+        const clip = engineAudio ?? await promise;
+        if (!clip?.blob.size) return null;
+
+        const maxBytes = (window.configManager.get('audioMaxKB') ?? 1024) * 1024;
+        if (clip.blob.size > maxBytes) {
+            Utils.log(`Audio clip of ${Math.round(clip.blob.size / 1024)} KB is over the size limit, sending the transcript only`, 'warn');
+            return null;
+        }
+
+        return clip;
+    }
+
     /**
      * Update voice level visualization
      */
@@ -366,7 +1721,7 @@ class VoiceProcessor {
      * Check if voice recognition is supported
      */
     isSupported() {
-        return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+        return !!this.engine?.isSupported();
     }
 
     /**
@@ -375,6 +1730,12 @@ class VoiceProcessor {
     getStatus() {
         return {
             isListening: this.isListening,
+            isSpeaking: this.isSpeaking(),
+            conversationMode: this.conversationMode,
+            pushToTalk: this.isPushToTalkActive(),
+            dictating: this.isDictating(),
+            expectedInput: this.getExpectedInput(),
+            engine: this.engine?.name ?? null,
             isSupported: this.isSupported(),
             isMonitoringVoiceLevel: this.isMonitoringVoiceLevel
         };
@@ -384,13 +1745,15 @@ class VoiceProcessor {
      * Cleanup resources
      */
     destroy() {
+        this.cancelRecovery();
+        this.clearStartWatchdog();
+        this.cancelReview();
+        this.endConversation('destroyed');
         this.stopListening();
+        this.stopSpeaking();
         this.stopVoiceLevelMonitoring();
-
-        if (this.silenceTimeout) {
-            clearTimeout(this.silenceTimeout);
-            this.silenceTimeout = null;
-        }
+        this.clearSilenceTimeout();
+        this.engine?.destroy();
     }
 }
 
@@ -0,0 +1,449 @@
+/**
+ * Wake Word Listener
+ * Watches the microphone on-device for a trained phrase ("Hey Yakeen") and starts listening.
+ * Audio never leaves the device: utterances are compared against recorded samples
+ * of the phrase using band-energy features and dynamic time warping.
+ */
+
+class WakeWordListener {
+    constructor() {
+        this.isRunning = false;
+        this.isPaused = false; // Paused by the user
+        this.isSuspended = false; // Paused while the assistant is busy with the microphone
+
+        this.stream = null;
+        this.audioContext = null;
+        this.analyser = null;
+        this.frequencyData = null;
+        this.frameInterval = null;
+
+        // Feature extraction settings
+        this.frameDuration = 30; // ms between analysed frames
+        this.bandCount = 16;
+        this.minFrequency = 300;
+        this.maxFrequency = 4000;
+
+        // Utterance segmentation settings
+        this.speechMargin = 10; // dB above the noise floor that counts as speech
+        this.hangoverFrames = 8; // Frames of quiet before an utterance is considered over
+        this.minSegmentFrames = 10;
+        this.maxSegmentFrames = 85;
+        this.noiseFloor = null;
+        this.segment = null;
+        this.silentFrames = 0;
+
+        // Trained phrase
+        this.requiredSamples = 3;
+        this.templates = [];
+        this.baseDistance = null;
+        this.pendingSample = null;
+        this.cooldownMs = 2000;
+        this.cooldownUntil = 0;
+
+        // Event handlers
+        this.onWake = null;
+        this.onStateChange = null;
+    }
+
+    /**
+     * Load trained samples and start if enabled
+     */
+    initialize() {
+        this.setTemplates(window.configManager.get('wakeWordTemplates') || []);
+        this.updateMicrophone();
+    }
+
+    /**
+     * Check if the wake word is turned on in settings
+     */
+    isEnabled() {
+        return !!window.configManager.get('wakeWordEnabled');
+    }
+
+    /**
+     * Check if enough samples have been recorded to listen for the phrase
+     */
+    isTrained() {
+        return this.templates.length >= this.requiredSamples;
+    }
+
+    /**
+     * Get the configured wake phrase
+     */
+    getPhrase() {
+        return window.configManager.get('wakeWordPhrase') || 'Hey Yakeen';
+    }
+
+    /**
+     * Get the current state for display
+     */
+    getState() {
+        if (!this.isEnabled()) return 'off';
+        if (!this.isTrained()) return 'untrained';
+        if (this.isPaused) return 'paused';
+        if (this.isSuspended) return 'suspended';
+        return this.isRunning ? 'armed' : 'off';
+    }
+
+    /**
+     * Pause listening for the wake word (user action)
+     */
+    pause() {
+        if (this.isPaused) return;
+        this.isPaused = true;
+        Utils.log('Wake word listener paused');
+        this.updateMicrophone();
+    }
+
+    /**
+     * Resume listening for the wake word (user action)
+     */
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        Utils.log('Wake word listener resumed');
+        this.updateMicrophone();
+    }
+
+    /**
+     * Release the microphone while the assistant is listening, processing or speaking
+     */
+    suspend() {
+        if (this.isSuspended) return;
+        this.isSuspended = true;
+        this.updateMicrophone();
+    }
+
+    /**
+     * Re-arm after the assistant is idle again
+     */
+    unsuspend() {
+        if (!this.isSuspended) return;
+        this.isSuspended = false;
+        this.updateMicrophone();
+    }
+
+    /**
+     * Apply settings changes
+     */
+    refresh() {
+        this.updateMicrophone();
+    }
+
+    /**
+     * Open or close the microphone to match the current state
+     */
+    async updateMicrophone() {
+        const shouldRun = !!this.pendingSample ||
+            (this.isEnabled() && this.isTrained() && !this.isPaused && !this.isSuspended);
+
+        if (shouldRun && !this.isRunning) {
+            await this.start();
+        } else if (!shouldRun && this.isRunning) {
+            this.stop();
+        }
+
+        this.onStateChange?.(this.getState());
+    }
+
+    /**
+     * Start analysing microphone audio
+     */
+    async start() {
+        if (this.isRunning) return;
+
+        try {
+            this.isRunning = true;
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+
+            // Stopped while waiting for the microphone
+            if (!this.isRunning) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+
+            this.stream = stream;
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 512;
+            this.analyser.smoothingTimeConstant = 0.3;
+            this.audioContext.createMediaStreamSource(this.stream).connect(this.analyser);
+            this.frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+
+            this.noiseFloor = null;
+            this.segment = null;
+            this.silentFrames = 0;
+            this.frameInterval = setInterval(() => this.processFrame(), this.frameDuration);
+
+            Utils.log('Wake word listener started');
+        } catch (error) {
+            Utils.log(`Failed to start wake word listener: ${Utils.getErrorMessage(error)}`, 'error');
+            this.stop();
+        }
+    }
+
+    /**
+     * Stop analysing and release the microphone
+     */
+    stop() {
+        if (this.frameInterval) {
+            clearInterval(this.frameInterval);
+            this.frameInterval = null;
+        }
+
+        this.stream?.getTracks().forEach(track => track.stop());
+        this.stream = null;
+
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+
+        this.analyser = null;
+        this.frequencyData = null;
+        this.segment = null;
+
+        if (this.isRunning) {
+            this.isRunning = false;
+            Utils.log('Wake word listener stopped', 'debug');
+        }
+    }
+
+    /**
+     * Analyse one frame of audio and segment utterances
+     */
+    processFrame() {
+        if (!this.analyser) return;
+
+        const frame = this.extractFrame();
+
+        if (this.noiseFloor === null) {
+            this.noiseFloor = frame.energy;
+            return;
+        }
+
+        const isSpeech = frame.energy > this.noiseFloor + this.speechMargin;
+
+        if (!this.segment) {
+            // Track the noise floor: drop quickly, rise slowly
+            if (frame.energy < this.noiseFloor) {
+                this.noiseFloor = frame.energy;
+            } else {
+                this.noiseFloor += (frame.energy - this.noiseFloor) * 0.01;
+            }
+
+            if (isSpeech) {
+                this.segment = [frame.bands];
+                this.silentFrames = 0;
+            }
+            return;
+        }
+
+        this.segment.push(frame.bands);
+        this.silentFrames = isSpeech ? 0 : this.silentFrames + 1;
+
+        if (this.segment.length > this.maxSegmentFrames) {
+            // Too long to be the wake phrase
+            this.segment = null;
+            return;
+        }
+
+        if (this.silentFrames >= this.hangoverFrames) {
+            const frames = this.segment.slice(0, this.segment.length - this.silentFrames);
+            this.segment = null;
+
+            if (frames.length >= this.minSegmentFrames) {
+                this.handleSegment(frames);
+            }
+        }
+    }
+
+    /**
+     * Compute log band energies for the current frame
+     */
+    extractFrame() {
+        this.analyser.getFloatFrequencyData(this.frequencyData);
+
+        const binWidth = this.audioContext.sampleRate / this.analyser.fftSize;
+        const ratio = Math.pow(this.maxFrequency / this.minFrequency, 1 / this.bandCount);
+        const bands = [];
+
+        for (let band = 0; band < this.bandCount; band++) {
+            const low = Math.floor((this.minFrequency * Math.pow(ratio, band)) / binWidth);
+            const high = Math.max(low + 1, Math.floor((this.minFrequency * Math.pow(ratio, band + 1)) / binWidth));
+            let sum = 0;
+
+            for (let bin = low; bin < high; bin++) {
+                sum += Math.max(-100, this.frequencyData[bin]);
+            }
+            bands.push(sum / (high - low));
+        }
+
+        const energy = bands.reduce((total, value) => total + value, 0) / bands.length;
+        return { energy, bands };
+    }
+
+    /**
+     * Handle a complete utterance
+     */
+    handleSegment(frames) {
+        const features = this.normalizeFeatures(frames);
+
+        if (this.pendingSample) {
+            this.pendingSample.resolve(features);
+            this.pendingSample = null;
+            this.updateMicrophone();
+            return;
+        }
+
+        if (!this.isTrained() || Date.now() < this.cooldownUntil) return;
+
+        // Skip utterances whose length is far from the trained phrase
+        const averageLength = this.templates.reduce((total, t) => total + t.length, 0) / this.templates.length;
+        if (features.length < averageLength * 0.6 || features.length > averageLength * 1.6) return;
+
+        const distance = Math.min(...this.templates.map(template => this.dtwDistance(features, template)));
+        const threshold = this.getThreshold();
+
+        Utils.log(`Wake word candidate: distance ${distance.toFixed(2)} (threshold ${threshold.toFixed(2)})`, 'debug');
+
+        if (distance <= threshold) {
+            Utils.log(`Wake word "${this.getPhrase()}" detected`);
+            this.cooldownUntil = Date.now() + this.cooldownMs;
+            Utils.vibrate(50);
+
+            // Hand the microphone over before the assistant starts listening
+            this.suspend();
+            this.onWake?.();
+        }
+    }
+
+    /**
+     * Remove per-band offsets so loudness and microphone colouring matter less
+     */
+    normalizeFeatures(frames) {
+        const means = new Array(this.bandCount).fill(0);
+
+        frames.forEach(frame => frame.forEach((value, band) => {
+            means[band] += value / frames.length;
+        }));
+
+        return frames.map(frame => frame.map((value, band) => Math.round((value - means[band]) * 100) / 100));
+    }
+
+    /**
+     * Dynamic time warping distance between two feature sequences
+     */
+    dtwDistance(a, b) {
+        const frameDistance = (x, y) => {
+            let sum = 0;
+            for (let i = 0; i < x.length; i++) {
+                sum += (x[i] - y[i]) ** 2;
+            }
+            return Math.sqrt(sum);
+        };
+
+        let previous = new Array(b.length + 1).fill(Infinity);
+        previous[0] = 0;
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = new Array(b.length + 1).fill(Infinity);
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = frameDistance(a[i - 1], b[j - 1]) +
+                    Math.min(previous[j], current[j - 1], previous[j - 1]);
+            }
+            previous = current;
+        }
+
+        return previous[b.length] / (a.length + b.length);
+    }
+
+    /**
+     * Distance threshold derived from the recorded samples and sensitivity
+     */
+    getThreshold() {
+        const sensitivity = window.configManager.get('wakeWordSensitivity') ?? 0.5;
+        return this.baseDistance * (0.9 + sensitivity * 0.8);
+    }
+
+    /**
+     * Replace trained samples
+     */
+    setTemplates(templates) {
+        this.templates = templates;
+        this.baseDistance = null;
+
+        if (templates.length >= 2) {
+            const distances = [];
+            for (let i = 0; i < templates.length; i++) {
+                for (let j = i + 1; j < templates.length; j++) {
+                    distances.push(this.dtwDistance(templates[i], templates[j]));
+                }
+            }
+            this.baseDistance = distances.reduce((total, d) => total + d, 0) / distances.length;
+        }
+    }
+
+    /**
+     * Record one spoken sample of the wake phrase
+     */
+    recordSample(timeout = 6000) {
+        if (this.pendingSample) {
+            return Promise.reject(new Error('Already recording a sample'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingSample = null;
+                this.updateMicrophone();
+                reject(new Error('No speech heard'));
+            }, timeout);
+
+            this.pendingSample = {
+                resolve: (features) => {
+                    clearTimeout(timer);
+                    const templates = [...this.templates, features].slice(-5);
+                    this.setTemplates(templates);
+                    window.configManager.set('wakeWordTemplates', templates);
+                    Utils.log(`Wake word sample recorded (${templates.length} total)`);
+                    resolve(templates.length);
+                }
+            };
+
+            this.updateMicrophone();
+        });
+    }
+
+    /**
+     * Delete all recorded samples
+     */
+    clearSamples() {
+        this.setTemplates([]);
+        window.configManager.set('wakeWordTemplates', []);
+        Utils.log('Wake word samples cleared');
+        this.updateMicrophone();
+    }
+
+    /**
+     * Get current status
+     */
+    getStatus() {
+        return {
+            state: this.getState(),
+            phrase: this.getPhrase(),
+            samples: this.templates.length,
+            isRunning: this.isRunning
+        };
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.pendingSample = null;
+        this.stop();
+    }
+}
+
+// Create global instance
+window.wakeWordListener = new WakeWordListener();
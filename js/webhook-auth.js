@@ -0,0 +1,234 @@
+/**
+ * Webhook Authentication
+ * Keeps webhook credentials encrypted in IndexedDB and builds the auth and signature
+ * headers for each request. Shared by the page and the service worker, so it must not
+ * depend on the DOM or on config stored in localStorage.
+ */
+
+class WebhookAuth {
+    constructor() {
+        this.dbName = 'voiceAssistantCredentials';
+        this.dbVersion = 1;
+        this.keyStoreName = 'keys';
+        this.storeName = 'credentials';
+        this.openPromise = null;
+        this.keyPromise = null;
+        this.types = ['none', 'header', 'basic', 'bearer'];
+        this.signatureHeaders = {
+            signature: 'X-Signature',
+            timestamp: 'X-Signature-Timestamp',
+            nonce: 'X-Signature-Nonce'
+        };
+    }
+
+    /**
+     * Open (and create/upgrade) the database
+     */
+    open() {
+        if (this.openPromise) return this.openPromise;
+
+        this.openPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.keyStoreName)) {
+                    db.createObjectStore(this.keyStoreName);
+                }
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.openPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.openPromise;
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get an object store for a transaction
+     */
+    async _store(name, mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(name, mode).objectStore(name);
+    }
+
+    /**
+     * Get the encryption key, creating it on first use.
+     * The key is non-extractable: scripts can use it but never read its bytes.
+     */
+    getKey() {
+        if (this.keyPromise) return this.keyPromise;
+
+        this.keyPromise = (async () => {
+            const stored = await this._request((await this._store(this.keyStoreName)).get('main'));
+            if (stored) return stored;
+
+            const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+            await this._request((await this._store(this.keyStoreName, 'readwrite')).put(key, 'main'));
+            return key;
+        })();
+
+        this.keyPromise.catch(() => {
+            this.keyPromise = null;
+        });
+
+        return this.keyPromise;
+    }
+
+    /**
+     * Get the auth settings of an endpoint, or null if none are stored
+     */
+    async get(endpointId) {
+        const record = await this._request((await this._store(this.storeName)).get(endpointId));
+        if (!record) return null;
+
+        const key = await this.getKey();
+        const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.data);
+        return JSON.parse(new TextDecoder().decode(decrypted));
+    }
+
+    /**
+     * Store the auth settings of an endpoint
+     */
+    async set(endpointId, auth) {
+        const settings = this.normalize(auth);
+
+        if (settings.type === 'none' && !settings.hmacSecret) {
+            await this.remove(endpointId);
+            return settings;
+        }
+
+        const key = await this.getKey();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(JSON.stringify(settings))
+        );
+
+        await this._request((await this._store(this.storeName, 'readwrite')).put({ id: endpointId, iv, data }));
+        return settings;
+    }
+
+    /**
+     * Delete the auth settings of an endpoint
+     */
+    async remove(endpointId) {
+        await this._request((await this._store(this.storeName, 'readwrite')).delete(endpointId));
+    }
+
+    /**
+     * Delete all stored credentials
+     */
+    async clear() {
+        await this._request((await this._store(this.storeName, 'readwrite')).clear());
+    }
+
+    /**
+     * Keep only the fields that apply to the chosen auth type
+     */
+    normalize(auth = {}) {
+        const type = this.types.includes(auth.type) ? auth.type : 'none';
+        const settings = { type, hmacSecret: auth.hmacSecret || '' };
+
+        switch (type) {
+            case 'header':
+                settings.headerName = (auth.headerName || '').trim();
+                settings.headerValue = auth.headerValue || '';
+                if (!settings.headerName) {
+                    throw new Error('Header name is required for header auth');
+                }
+                break;
+            case 'basic':
+                settings.username = auth.username || '';
+                settings.password = auth.password || '';
+                break;
+            case 'bearer':
+                settings.token = (auth.token || '').trim();
+                break;
+        }
+
+        return settings;
+    }
+
+    /**
+     * Build the auth and signature headers for a request body
+     */
+    async getHeaders(endpointId, body = '') {
+        return this.buildHeaders(await this.get(endpointId), body);
+    }
+
+    /**
+     * Build the headers for auth settings that may not be stored yet (connection tests)
+     */
+    async buildHeaders(auth, body = '') {
+        if (!auth) return {};
+
+        const headers = {};
+
+        switch (auth.type) {
+            case 'header':
+                headers[auth.headerName] = auth.headerValue;
+                break;
+            case 'basic':
+                headers['Authorization'] = `Basic ${this.encodeBase64(`${auth.username}:${auth.password}`)}`;
+                break;
+            case 'bearer':
+                headers['Authorization'] = `Bearer ${auth.token}`;
+                break;
+        }
+
+        if (auth.hmacSecret) {
+            Object.assign(headers, await this.sign(auth.hmacSecret, body || ''));
+        }
+
+        return headers;
+    }
+
+    /**
+     * Sign a body with HMAC-SHA256 over "<timestamp>.<nonce>.<body>".
+     * Workflows should reject old timestamps and nonces they have already seen.
+     */
+    async sign(secret, body) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const nonce = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${nonce}.${body}`));
+        const hex = Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+
+        return {
+            [this.signatureHeaders.signature]: `sha256=${hex}`,
+            [this.signatureHeaders.timestamp]: timestamp,
+            [this.signatureHeaders.nonce]: nonce
+        };
+    }
+
+    /**
+     * Base64-encode a UTF-8 string
+     */
+    encodeBase64(text) {
+        const bytes = new TextEncoder().encode(text);
+        return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+    }
+}
+
+// Create global instance (window in the page, the worker scope in the service worker)
+self.webhookAuth = new WebhookAuth();
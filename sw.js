@@ -3,7 +3,9 @@
  * Handles caching, offline functionality, and background sync
  */
 
-const CACHE_NAME = 'voice-assistant-v1.0.0';
+importScripts('/js/webhook-auth.js', '/js/command-queue.js');
+
+const CACHE_NAME = 'voice-assistant-v1.1.0';
 const STATIC_CACHE_NAME = `${CACHE_NAME}-static`;
 const DYNAMIC_CACHE_NAME = `${CACHE_NAME}-dynamic`;
 
@@ -14,6 +16,20 @@ const STATIC_FILES = [
     '/css/styles.css',
     '/js/main.js',
     '/js/voice.js',
+    '/js/speech.js',
+    '/js/wakeword.js',
+    '/js/conversation.js',
+    '/js/history.js',
+    '/js/archive.js',
+    '/js/command-queue.js',
+    '/js/webhook-auth.js',
+    '/js/router.js',
+    '/js/languages.js',
+    '/js/rewrite.js',
+    '/js/dictation.js',
+    '/js/vad.js',
+    '/js/stt-webspeech.js',
+    '/js/stt-whisper.js',
     '/js/n8n.js',
     '/js/config.js',
     '/js/utils.js',
@@ -233,54 +249,84 @@ self.addEventListener('sync', (event) => {
  * Sync pending voice commands when back online
  */
 async function syncPendingVoiceCommands() {
+    let networkFailures = 0;
+    const finished = [];
+
     try {
         console.log('[SW] Syncing pending voice commands...');
 
-        // Get pending commands from IndexedDB or localStorage
         const pendingCommands = await getPendingCommands();
 
         if (pendingCommands.length > 0) {
             console.log(`[SW] Found ${pendingCommands.length} pending commands`);
 
             for (const command of pendingCommands) {
+                // The page may be sending the same command right now
+                const claimed = await self.commandQueue.claim(command.id);
+                if (!claimed) continue;
+
                 try {
-                    await fetch(command.url, {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify(command.data)
-                    });
-
-                    // Remove successfully sent command
-                    await removePendingCommand(command.id);
-                    console.log('[SW] Successfully synced command:', command.id);
+                    const result = await self.commandQueue.send(claimed);
+                    await self.commandQueue.complete(claimed.id, result);
+                    finished.push(claimed.id);
+                    console.log('[SW] Successfully synced command:', claimed.id);
 
                 } catch (error) {
-                    console.error('[SW] Failed to sync command:', command.id, error);
+                    const retryable = error.retryable !== false;
+                    const updated = await self.commandQueue.fail(claimed.id, error, retryable);
+                    if (updated?.status === 'failed') {
+                        finished.push(claimed.id);
+                    } else {
+                        networkFailures++;
+                    }
+                    console.error('[SW] Failed to sync command:', claimed.id, error);
                 }
             }
         }
+
+        if (finished.length > 0) {
+            await notifyCommandsSynced(finished);
+        }
     } catch (error) {
         console.error('[SW] Background sync failed:', error);
     }
+
+    // Rejecting lets the browser schedule another sync attempt
+    if (networkFailures > 0) {
+        throw new Error(`${networkFailures} commands still pending`);
+    }
 }
 
 /**
- * Get pending commands (placeholder - would use IndexedDB in production)
+ * Get pending commands from the shared IndexedDB queue
  */
 async function getPendingCommands() {
-    // This would typically read from IndexedDB
-    // For now, returning empty array
-    return [];
+    return await self.commandQueue.getPending();
 }
 
 /**
- * Remove pending command (placeholder)
+ * Tell open pages about synced commands, or notify the user if the app is closed
  */
-async function removePendingCommand(id) {
-    // This would typically remove from IndexedDB
-    console.log('[SW] Would remove pending command:', id);
+async function notifyCommandsSynced(ids) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+
+    if (clients.length > 0) {
+        clients.forEach(client => client.postMessage({
+            type: 'COMMAND_SYNCED',
+            data: { ids }
+        }));
+        return;
+    }
+
+    // Results are shown when the app is next opened
+    if (self.Notification?.permission === 'granted') {
+        await self.registration.showNotification('Voice Assistant', {
+            body: `${ids.length} queued command${ids.length === 1 ? ' was' : 's were'} sent. Open the app to see the results.`,
+            icon: '/icons/icon-192.png',
+            badge: '/icons/favicon-32x32.png',
+            tag: 'voice-command-sync'
+        });
+    }
 }
 
 /**
@@ -303,10 +349,10 @@ self.addEventListener('message', (event) => {
 
         case 'CACHE_COMMAND':
             // Cache a failed command for later sync
-            cacheFailedCommand(data).then(() => {
+            cacheFailedCommand(data).then((success) => {
                 event.ports[0]?.postMessage({
                     type: 'COMMAND_CACHED',
-                    data: { success: true }
+                    data: { success }
                 });
             });
             break;
@@ -321,12 +367,21 @@ self.addEventListener('message', (event) => {
  */
 async function cacheFailedCommand(commandData) {
     try {
-        console.log('[SW] Caching failed command for later sync:', commandData);
-        // This would typically store in IndexedDB
-        // For now, just registering background sync
-        await self.registration.sync.register('voice-command-sync');
+        console.log('[SW] Caching failed command for later sync:', commandData.id);
+
+        // The page normally stores the command already, and may have updated it since (turnId);
+        // the message only carries a snapshot, so it must not overwrite the stored record
+        await self.commandQueue.putIfMissing(commandData);
+
+        if (self.registration.sync) {
+            await self.registration.sync.register('voice-command-sync');
+        } else {
+            console.log('[SW] Background sync not supported, the page will replay the command');
+        }
+        return true;
     } catch (error) {
         console.error('[SW] Failed to cache command:', error);
+        return false;
     }
 }
 